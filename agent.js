@@ -5,9 +5,10 @@
  * Author: Gaurav Tomar (Original) & Assistant (fixes)
  *
  * Notes:
- * - Default provider is AI Pipe (https://aipipe.org).
+ * - Default provider is AI Pipe (https://aipipe.org); OpenAI, Anthropic, Gemini and
+ *   OpenAI-compatible local servers are available through provider adapters.
  * - Paste your AI Pipe token in Settings (NOT an OpenAI key).
- * - Works without streaming; add SSE later if needed.
+ * - Streams tokens over SSE when "Stream responses" is enabled (default).
  * - Gracefully degrades when optional libs (marked/hljs) are missing.
  */
 
@@ -33,10 +34,13 @@ class Querya {
       }
     });
 
-    // ---- Misc singletons ----
-    this.tools = this.initializeTools();
+    // ---- Misc singletons (the event bus first: registering tools emits) ----
     this.eventBus = new EventTarget();
     this.cache = new Map();
+    this.toolRegistry = new Map();
+    this.initializeTools();
+    this.providers = this.initializeProviders();
+    this.searchBackends = this.initializeSearchBackends();
     this.performanceObserver = null;
     this.memoryMonitor = null;
     this.speechRecognition = null;
@@ -47,6 +51,61 @@ class Querya {
       '.xml', '.yaml', '.yml', '.sql', '.log'
     ];
 
+    this.maxFileBytes = 2 * 1024 * 1024;
+
+    // ---- Image attachments: sent as image_url parts to vision models ----
+    this.supportedImageTypes = ['image/png', 'image/jpeg', 'image/webp'];
+    this.imageLimits = { maxDimension: 1568, maxBytes: 512 * 1024, quality: 0.85, maxInputBytes: 20 * 1024 * 1024, maxPerMessage: 4 };
+    this.pendingImages = []; // composer images waiting for the next message
+    this.modelModalities = new Map(); // model id -> input modalities, from provider model lists
+    this.imageWarnedModels = new Set(); // non-vision models already warned about stripped images
+    this.visionModelPatterns = [
+      /gpt-4o/, /gpt-4\.1/, /gpt-4-turbo/, /vision/, /gpt-5/, /(^|\/)o1(?!-mini)/, /(^|\/)o3(?!-mini)/, /(^|\/)o4-mini/,
+      /claude-3/, /claude-(opus|sonnet|haiku)-4/, /gemini/, /gemma-3/, /llava/, /pixtral/, /qwen.*-vl/, /llama-4/, /grok-4/
+    ];
+
+    // ---- Conversation store (IndexedDB, see STORAGE section) ----
+    this.storage = { dbName: 'querya', version: 1 };
+    this.dbPromise = null;
+    this.dirtyConversations = new Set();
+    this.persistedMessages = new Map(); // message id -> signature last written
+    this.saveQueue = Promise.resolve();
+    this.saveTimer = null;
+
+    // ---- execute_code sandbox limits ----
+    this.sandboxLimits = { timeoutMs: 5000, maxOutputChars: 10000 };
+    this.grepMaxLineChars = 2000; // process_file grep tests at most this much of each line
+
+    // ---- Usage & cost tracking (see USAGE & COST section) ----
+    this.modelPricing = new Map(); // model id -> { input, output } USD per 1M tokens, from provider model lists
+    this.sessionUsage = this.createUsageTotals();
+    this.usageLedger = this.loadUsageLedger();
+
+    // ---- Agent loop: an identical tool call this many times in one run is refused ----
+    this.loopThreshold = 3;
+
+    // ---- Tool approval: open approval cards (message id → resolver) and tools allowed for this session ----
+    this.pendingApprovals = new Map();
+    this.sessionApprovals = new Set();
+
+    // ---- LLM retry policy (rate limits, 5xx and network failures only) ----
+    this.retryPolicy = { maxRetries: 3, baseDelayMs: 1000, maxDelayMs: 20000, maxRetryAfterMs: 60000 };
+
+    // ---- JSON export format (see IMPORT / EXPORT) ----
+    this.exportVersion = 1;
+
+    // ---- Vault: derived AES key while unlocked (never stored) and PBKDF2 work factor ----
+    this.vaultKey = null;
+    this.vaultIterations = 600000;
+
+    // ---- Sanitizer allowlist for rendered markdown (see SANITIZER) ----
+    this.sanitizerRules = this.getSanitizerRules();
+    this.loadedImages = new Set(); // remote image URLs the user chose to load
+
+    // ---- Voice output: current reading ({ messageId, onEnd }) and hands-free loop ----
+    this.speaking = null;
+    this.handsFree = false;
+
     // ---- Binds ----
     this.debouncedUpdateModelOptions = this.debounce(() => this.updateModelOptions(), 500);
 
@@ -75,6 +134,9 @@ class Querya {
       this.hideLoadingScreen();
       this.emit('app:initialized');
       this.showWelcomeMessage();
+      this.startVaultTimer();
+      if (this.isVaultLocked()) this.showVaultLock();
+      this.openSharedFromLocation();
       console.log(`Querya v${this.version} initialized`);
     } catch (error) {
       console.error('Failed to initialize Querya:', error);
@@ -91,21 +153,58 @@ class Querya {
         model: 'openai/gpt-4o-mini',
         maxTokens: 2000,
         temperature: 0.7,
-        baseUrl: 'https://aipipe.org' // customize if self-hosted proxy
+        stream: true,
+        baseUrl: '' // empty = provider default; set for self-hosted proxies or local servers
       },
       ui: { theme: 'auto', animationsEnabled: true, soundEnabled: false, fontSize: 'medium' },
       voice: { enabled: false, outputEnabled: false, language: 'en-US', speechRate: 1.0 },
-      advanced: { autoSave: true, analyticsEnabled: false, maxHistory: 100 }
+      advanced: {
+        autoSave: true,
+        analyticsEnabled: false,
+        maxHistory: 100,
+        contextStrategy: 'summarize', // drop_oldest | summarize | bookmarks
+        contextWindow: 0,             // tokens; 0 = look up by model
+        // Per-run budgets (0 = unlimited); conversations may override them
+        maxTurns: 5,
+        maxToolCalls: 20,
+        maxRunSeconds: 300,
+        maxRunTokens: 0
+      },
+      tools: { enabled: {}, policies: {} },   // per-tool overrides from Settings → Tools (name → bool / 'auto' | 'ask' | 'deny')
+      personas: this.getDefaultPersonas(),
+      defaultPersonaId: 'default',
+      usage: {
+        prices: {},             // model id -> { input, output } USD per 1M tokens; overrides provider/list prices
+        dailyCap: 0,            // USD, 0 = no cap
+        sessionCap: 0
+      },
+      search: {
+        backend: 'searxng',     // searxng | brave | google | json
+        url: '',                // SearXNG instance, JSON endpoint template, or proxy for Brave/Google
+        apiKey: '',             // Brave subscription token / Google API key
+        cx: '',                 // Google Programmable Search engine id
+        resultsPath: 'results', // generic JSON: where the result array lives
+        titleField: 'title',
+        urlField: 'url',
+        snippetField: 'snippet'
+      },
+      vault: null               // { version, iterations, salt, iv, ciphertext, autoLockMinutes } when API keys are encrypted
     };
   }
 
+  /** Registers the built-in tools; plugins add more through `registerTool()`. */
   initializeTools() {
-    return [
-      { type: "function", function: { name: "web_search", description: "Search the web for current information", parameters: { type: "object", properties: { query: { type: "string" }, results: { type: "integer", default: 5 } }, required: ["query"] } } },
-      { type: "function", function: { name: "execute_code", description: "Execute JavaScript code safely", parameters: { type: "object", properties: { code: { type: "string" } }, required: ["code"] } } },
-      { type: "function", function: { name: "process_file", description: "Process and analyze uploaded files", parameters: { type: "object", properties: { fileId: { type: "string" }, operation: { type: "string", default: "analyze" } }, required: ["fileId"] } } },
-      { type: "function", function: { name: "create_visualization", description: "Create data visualizations", parameters: { type: "object", properties: { data: { type: "string" }, type: { type: "string", default: "line" }, title: { type: "string" } }, required: ["data"] } } }
+    const builtins = [
+      [{ type: "function", function: { name: "web_search", description: "Search the web for current information. Returns items of {title, url, snippet, source}.", parameters: { type: "object", properties: { query: { type: "string" }, results: { type: "integer", default: 5 } }, required: ["query"] } } }, 'executeWebSearch'],
+      [{ type: "function", function: { name: "execute_code", description: "Run JavaScript in an isolated sandbox (Web Worker without DOM, storage or network). console.log/console.error output, the value of a single expression or an explicit `return`, and thrown errors are captured. Top-level await is allowed.", parameters: { type: "object", properties: { code: { type: "string" } }, required: ["code"] } } }, 'executeCode'],
+      [{ type: "function", function: { name: "process_file", description: "Inspect a file the user uploaded. Operations: analyze (overview + preview), csv_stats (per-column summary statistics), json_query (JSONPath such as $.items[*].name), read_lines (start_line..end_line), grep (regex over lines), count (lines/words/characters).", parameters: { type: "object", properties: { fileId: { type: "string", description: "Id from the uploaded-files list, e.g. file_1" }, operation: { type: "string", enum: ["analyze", "csv_stats", "json_query", "read_lines", "grep", "count"], default: "analyze" }, path: { type: "string", description: "JSONPath for json_query" }, start_line: { type: "integer" }, end_line: { type: "integer" }, pattern: { type: "string", description: "Regular expression for grep" }, ignore_case: { type: "boolean", default: true } }, required: ["fileId"] } } }, 'processFile'],
+      [{ type: "function", function: { name: "create_visualization", description: "Render a chart inline for the user. data may be CSV text with a header row, JSON rows ([{\"month\":\"Jan\",\"sales\":10}]), a number array, or named series ([{\"name\":\"A\",\"data\":[1,2]}]).", parameters: { type: "object", properties: { data: { type: "string" }, type: { type: "string", enum: ["line", "bar", "scatter", "pie", "histogram"], default: "line" }, title: { type: "string" }, x: { type: "string", description: "Column for the x axis / categories" }, y: { type: "string", description: "Comma-separated value columns" }, x_label: { type: "string" }, y_label: { type: "string" }, bins: { type: "integer", description: "Histogram bin count" } }, required: ["data"] } } }, 'createVisualization']
     ];
+    builtins.forEach(([schema, method]) => this.registerTool({
+      schema,
+      handler: (args, context) => this[method](args, context),
+      options: { source: 'built-in' }
+    }));
   }
 
   // =========================
@@ -183,9 +282,6 @@ class Querya {
     this.initializeAutoResize();
     this.initializeThemeDetection();
 
-    // Ensure provider lock to AI Pipe
-    this.lockProviderToAIpipe();
-
     // Populate models after DOM ready
     setTimeout(() => this.updateModelOptions().catch(() => {}), 300);
   }
@@ -211,19 +307,6 @@ class Querya {
     } catch (_) {}
   }
 
-  lockProviderToAIpipe() {
-    const prov = document.getElementById('llm-provider');
-    if (!prov) return;
-    // Force to AI Pipe only
-    prov.innerHTML = '';
-    const opt = document.createElement('option');
-    opt.value = 'aipipe';
-    opt.textContent = 'AI Pipe';
-    prov.appendChild(opt);
-    prov.value = 'aipipe';
-    prov.disabled = true; // prevent accidental change
-  }
-
   // =========================
   // ===== PERFORMANCE =======
   // =========================
@@ -270,13 +353,22 @@ class Querya {
             this.elements.userInput.value = last[0].transcript;
             this.updateCharCount();
             this.stopVoiceInput();
+            if (this.handsFree) this.sendMessage({ handsFree: true });
           }
         };
         this.speechRecognition.onerror = (event) => {
+          // Silence in hands-free mode just means "listen again" (see onend)
+          if (this.handsFree && (event.error === 'no-speech' || event.error === 'aborted')) return;
           console.error('Speech recognition error:', event.error);
           this.stopVoiceInput();
+          if (this.handsFree) this.stopHandsFree();
           this.showToast('error', 'Voice Error', event.error || 'Unknown error');
         };
+        this.speechRecognition.onend = () => {
+          // Recognition also ends by itself after silence; reset the mic buttons
+          if (this.state.ui.voiceEnabled) this.stopVoiceInput();
+          if (this.handsFree && !this.elements.userInput?.value.trim()) setTimeout(() => this.listenHandsFree(), 250);
+        };
       }
     } catch (error) {
       console.warn('Voice capabilities not available:', error);
@@ -288,29 +380,92 @@ class Querya {
   // =========================
   setupEventListeners() {
     try {
-      this.elements.sendButton?.addEventListener('click', () => this.sendMessage());
+      this.elements.sendButton?.addEventListener('click', () => {
+        if (this.state.isProcessing) this.stopAgentRun(); else this.sendMessage();
+      });
       this.elements.userInput?.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); this.sendMessage(); }
+        if (e.key === 'Escape' && this.state.isProcessing) this.stopAgentRun();
       });
 
       document.getElementById('voice-input')?.addEventListener('click', () => this.toggleVoiceInput());
+      document.getElementById('hands-free')?.addEventListener('click', () => this.toggleHandsFree());
       document.getElementById('attach-file')?.addEventListener('click', () => document.getElementById('file-input')?.click());
       document.getElementById('file-input')?.addEventListener('change', (e) => this.handleFileSelection(e));
+      this.elements.userInput?.addEventListener('paste', (e) => {
+        const images = Array.from(e.clipboardData?.files || []).filter(file => this.supportedImageTypes.includes(file.type));
+        if (!images.length) return;
+        e.preventDefault();
+        this.addComposerImages(images);
+      });
+      document.getElementById('composer-images')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-image-id]');
+        if (btn) this.removeComposerImage(btn.dataset.imageId);
+      });
       document.getElementById('voice-toggle')?.addEventListener('click', () => this.toggleVoiceInput());
       document.getElementById('theme-toggle')?.addEventListener('click', () => this.toggleTheme());
       document.getElementById('fullscreen-toggle')?.addEventListener('click', () => this.toggleFullscreen());
       document.getElementById('settings-toggle')?.addEventListener('click', () => this.openSettings());
-      document.getElementById('new-chat')?.addEventListener('click', () => this.createNewConversation());
+      document.getElementById('new-chat')?.addEventListener('click', () => this.createNewConversation(document.getElementById('new-chat-persona')?.value));
+      document.getElementById('conversation-search')?.addEventListener('input', () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.updateSidebarView(), 200);
+      });
+      document.getElementById('search-filters')?.addEventListener('change', () => this.updateSidebarView());
+      document.getElementById('search-filters-toggle')?.addEventListener('click', (e) => {
+        const panel = document.getElementById('search-filters');
+        if (!panel) return;
+        panel.hidden = !panel.hidden;
+        e.currentTarget.classList.toggle('active', !panel.hidden);
+      });
+      document.querySelectorAll('.sidebar-view-btn').forEach(btn => btn.addEventListener('click', () => {
+        this.sidebarView = btn.dataset.view;
+        this.updateSidebarView();
+      }));
+      ['search-results', 'bookmark-list'].forEach(id => document.getElementById(id)?.addEventListener('click', (e) => {
+        const hit = e.target.closest('.search-hit');
+        if (hit) this.jumpToMessage(hit.dataset.conversationId, hit.dataset.messageId);
+      }));
+      document.getElementById('chat-persona')?.addEventListener('change', (e) => this.setConversationPersona(this.state.currentConversationId, e.target.value));
+      document.getElementById('persona-edit-select')?.addEventListener('change', (e) => this.selectPersonaForEdit(e.target.value));
+      document.getElementById('persona-add')?.addEventListener('click', () => this.addPersona());
+      document.getElementById('persona-delete')?.addEventListener('click', () => this.deletePersona());
+      document.getElementById('persona-all-tools')?.addEventListener('change', () => { this.readPersonaEditor(); this.renderPersonaEditor(); });
       document.getElementById('clear-chat')?.addEventListener('click', () => this.clearConversationMessages());
-      document.getElementById('export-chat')?.addEventListener('click', () => this.exportConversation());
-      document.getElementById('share-chat')?.addEventListener('click', () => this.showToast('info', 'Coming Soon', 'Share is coming soon.'));
+      document.getElementById('export-chat')?.addEventListener('click', () => this.openExport());
+      document.getElementById('close-export')?.addEventListener('click', () => document.getElementById('export-modal')?.classList.remove('active'));
+      document.querySelectorAll('[data-export-format]').forEach(btn => btn.addEventListener('click', () => this.exportConversation(btn.dataset.exportFormat)));
+      document.getElementById('export-backup')?.addEventListener('click', () => this.exportBackup());
+      document.getElementById('import-data')?.addEventListener('click', () => this.importData());
+      document.getElementById('export-settings')?.addEventListener('click', () => this.exportSettings());
+      document.getElementById('vault-enabled')?.addEventListener('change', () => this.updateVaultFields());
+      document.getElementById('vault-lock-now')?.addEventListener('click', () => this.lockVault());
+      document.getElementById('vault-unlock')?.addEventListener('click', () => this.submitVaultUnlock());
+      document.getElementById('vault-unlock-passphrase')?.addEventListener('keydown', (e) => { if (e.key === 'Enter') this.submitVaultUnlock(); });
+      document.getElementById('vault-reset')?.addEventListener('click', () => this.resetVault());
+      document.getElementById('import-settings')?.addEventListener('click', () => this.importSettings());
+      document.getElementById('run-budget')?.addEventListener('click', () => this.openRunBudget());
+      document.getElementById('close-budget')?.addEventListener('click', () => document.getElementById('budget-modal')?.classList.remove('active'));
+      document.getElementById('save-budget')?.addEventListener('click', () => this.saveRunBudget());
+      document.getElementById('close-compare')?.addEventListener('click', () => document.getElementById('compare-modal')?.classList.remove('active'));
+      document.getElementById('compare-models')?.addEventListener('change', () => this.updateCompareSelection());
+      document.getElementById('start-compare')?.addEventListener('click', () => this.startCompare());
+      document.getElementById('share-chat')?.addEventListener('click', () => this.openShare());
+      document.getElementById('close-share')?.addEventListener('click', () => document.getElementById('share-modal')?.classList.remove('active'));
+      document.getElementById('share-link')?.addEventListener('click', () => this.shareAsLink());
+      document.getElementById('share-file')?.addEventListener('click', () => this.shareAsFile());
+      document.getElementById('shared-import')?.addEventListener('click', () => this.importSharedConversation());
+      document.getElementById('shared-close')?.addEventListener('click', () => this.closeSharedViewer());
+      window.addEventListener('hashchange', () => this.openSharedFromLocation());
       document.getElementById('toggle-perf')?.addEventListener('click', () => this.togglePerformanceMonitor());
       document.getElementById('close-settings')?.addEventListener('click', () => this.closeSettings());
       document.getElementById('save-settings')?.addEventListener('click', () => this.saveAndApplySettings());
       document.querySelector('.toggle-visibility')?.addEventListener('click', (e) => this.toggleApiKeyVisibility(e));
-      document.getElementById('llm-provider')?.addEventListener('change', () => this.updateModelOptions());
+      document.getElementById('llm-provider')?.addEventListener('change', () => this.onProviderChange());
+      document.getElementById('base-url')?.addEventListener('input', this.debouncedUpdateModelOptions);
       document.getElementById('api-key')?.addEventListener('input', this.debouncedUpdateModelOptions);
       document.getElementById('clear-all-data')?.addEventListener('click', () => this.clearAllData());
+      document.getElementById('search-backend')?.addEventListener('change', () => this.updateSearchFields());
 
       document.querySelectorAll('.tab-btn').forEach(btn =>
         btn.addEventListener('click', e => this.switchSettingsTab(e.target.dataset.tab)));
@@ -337,6 +492,9 @@ class Querya {
       // char count
       this.elements.userInput?.addEventListener('input', () => this.updateCharCount());
 
+      // buttons rendered inside messages (chart actions, …)
+      this.elements.messages?.addEventListener('click', (e) => this.handleMessageAction(e));
+
       // context menu actions
       this.elements.contextMenu?.querySelectorAll('.context-item').forEach(item => {
         item.addEventListener('click', () => {
@@ -395,14 +553,21 @@ class Querya {
   // =========================
   // ======= MESSAGING =======
   // =========================
-  async sendMessage() {
+  /** `handsFree` marks a message dictated in hands-free mode: its reply is read out even if another chat is on screen. */
+  async sendMessage({ handsFree = false } = {}) {
     const inputEl = this.elements.userInput;
     const input = inputEl ? inputEl.value.trim() : '';
-    if (!input || this.state.isProcessing) return;
+    const images = this.pendingImages;
+    if ((!input && !images.length) || this.state.isProcessing) return;
+    if (images.length && !this.isVisionModel(this.getComposerModel())) {
+      this.showToast('warning', 'Model Can\'t See Images', `${this.getComposerModel()} does not accept images. Remove the attached images or switch to a vision-capable model.`);
+      return;
+    }
 
     // Guard: require API key for real calls
-    if (!this.state.settings.llm.apiKey) {
-      this.addMessage('assistant', '_Demo mode_: add your **AI Pipe token** in Settings to use real models.');
+    const adapter = this.getProvider(this.state.settings.llm.provider);
+    if (adapter?.requiresKey && !this.state.settings.llm.apiKey) {
+      this.addMessage('assistant', `_Demo mode_: add your **${adapter.label}** key in Settings to use real models.`, null, { uiOnly: true });
     }
 
     // Warn if user pasted an OpenAI key by mistake
@@ -410,37 +575,114 @@ class Querya {
       this.showToast('warning', 'Likely Wrong Key', 'That looks like an OpenAI key. Please paste your **AI Pipe** token.');
     }
 
-    this.state.isProcessing = true;
-    this.updateUIState();
     const convId = this.state.currentConversationId || this.createNewConversation();
-    this.addMessage('user', input, convId);
+    this.startRun(convId);
+    this.addMessage('user', input, convId, images.length ? { images: images.map(({ id, ...img }) => img) } : {});
     if (inputEl) { inputEl.value = ''; inputEl.style.height = 'auto'; this.updateCharCount(); }
+    this.pendingImages = [];
+    this.renderComposerImages();
+    await this.runAgent(convId, { handsFree });
+  }
+
+  /** Resumes a conversation after a run budget was hit, allowing `turns` more model turns. */
+  async continueRun(convId, turns) {
+    if (this.state.isProcessing || !this.state.conversations.has(convId)) return;
+    this.startRun(convId);
+    await this.runAgent(convId, { budget: { maxTurns: turns } });
+  }
+
+  /** Drives agentLoop for a run opened with startRun(); reports errors and always closes the run. */
+  async runAgent(convId, { budget, model, handsFree = false } = {}) {
     this.hideWelcomeScreen();
     this.showTypingIndicator();
+    // Speech belongs to the chat on screen: runs elsewhere neither interrupt it nor talk over it
+    const audible = () => handsFree || convId === this.state.currentConversationId;
+    if (audible()) this.stopSpeaking();
+    let reply = null;
 
     try {
-      await this.agentLoop(convId);
+      reply = await this.agentLoop(convId, { signal: this.currentRun.controller.signal, budget, model });
     } catch (error) {
-      console.error('Agent loop error:', error);
-      this.addMessage('system', `An error occurred: ${error.message || error}`, convId);
-      this.showToast('error', 'Agent Error', error.message || 'Unknown error');
+      const budgetStop = this.currentRun?.budgetStop;
+      if (this.isAbortError(error) && budgetStop) {
+        this.postBudgetNotice(convId, budgetStop.exhausted, budgetStop.budget, budgetStop.run);
+      } else if (this.isAbortError(error)) {
+        this.addMessage('system', '⏹ Stopped by user.', convId, { uiOnly: true, stopped: true });
+      } else {
+        console.error('Agent loop error:', error);
+        this.addMessage('system', `An error occurred: ${error.message || error}`, convId, { uiOnly: true });
+        this.showToast('error', 'Agent Error', error.message || 'Unknown error');
+      }
     } finally {
-      this.state.isProcessing = false;
-      this.updateUIState();
-      this.hideTypingIndicator();
+      this.finishRun();
       this.saveCurrentConversation();
+      if (audible()) this.speakReply(reply);
+      else this.listenHandsFree();
     }
   }
 
-  async agentLoop(conversationId) {
+  /** Each agent run owns an AbortController; the send button doubles as Stop while it runs. */
+  startRun(conversationId) {
+    this.currentRun = { controller: new AbortController(), conversationId };
+    this.state.isProcessing = true;
+    this.updateUIState();
+  }
+
+  finishRun() {
+    clearTimeout(this.currentRun?.deadline);
+    this.currentRun = null;
+    this.state.isProcessing = false;
+    this.updateUIState();
+    this.hideTypingIndicator();
+  }
+
+  stopAgentRun() {
+    if (!this.currentRun || this.currentRun.controller.signal.aborted) return;
+    this.currentRun.controller.abort();
+    this.showToast('info', 'Stopped', 'The running request was cancelled.');
+  }
+
+  /**
+   * Model ⇄ tools loop for one run. Stops when the model answers without tool
+   * calls, or when a run budget (`getRunBudget`, overridable via `budget`) is
+   * used up — then a notice offers to continue. Identical repeated tool calls
+   * are refused as a loop. `model` overrides the conversation's model for this run.
+   * Resolves to the final assistant reply, if the run produced one.
+   */
+  async agentLoop(conversationId, { signal, budget: overrides, model: modelOverride } = {}) {
     const conversation = this.state.conversations.get(conversationId);
     if (!conversation) return;
+    const model = modelOverride || this.getConversationModel(conversation);
 
-    let maxTurns = 5;
-    while (maxTurns-- > 0) {
+    const budget = { ...this.getRunBudget(conversation), ...(overrides || {}) };
+    const run = { turns: 0, toolCalls: 0, tokens: 0, startedAt: Date.now(), pausedMs: 0, pausedAt: null, pauses: 0, callCounts: new Map(), loopWarnings: 0 };
+    if (this.currentRun?.controller.signal === signal) this.armRunDeadline(budget, run);
+
+    while (true) {
+      this.throwIfAborted(signal);
+      const exhausted = this.checkRunBudget(run, budget);
+      if (exhausted) {
+        this.postBudgetNotice(conversationId, exhausted, budget, run);
+        break;
+      }
+      // Streamed turns render into one message element that is created on the first token
+      let streamMsg = null;
       try {
         const t0 = performance.now?.() || Date.now();
-        const responseData = await this.callLLM(conversation);
+        const response = await this.callLLM(conversation, {
+          signal,
+          model,
+          onDelta: (partial) => {
+            if (!partial.content) return;
+            if (!streamMsg) {
+              streamMsg = this.addMessage('assistant', '', conversationId, { model, streaming: true });
+              this.hideTypingIndicator();
+            }
+            if (!streamMsg) return;
+            streamMsg.content = partial.content;
+            this.scheduleMessageRender(streamMsg);
+          }
+        });
         const t1 = performance.now?.() || Date.now();
         if (performance?.measure) {
           try {
@@ -452,428 +694,5012 @@ class Querya {
 
         this.state.performance.apiCalls = (this.state.performance.apiCalls || 0) + 1;
         this.updatePerformanceDisplay();
+        run.turns++;
+        run.tokens += response?.usage?.total_tokens || 0;
+
+        const toolCalls = response?.tool_calls || [];
+        const usageFields = response?.usage ? { usage: response.usage, cost: response.cost ?? null } : {};
+
+        if (streamMsg) {
+          delete streamMsg.streaming;
+          streamMsg.content = response?.content || streamMsg.content;
+          if (toolCalls.length) streamMsg.tool_calls = toolCalls;
+          Object.assign(streamMsg, usageFields, response?.model ? { model: response.model } : {});
+          this.touchConversation(conversation, streamMsg);
+          this.updateMessageElement(streamMsg);
+          this.scheduleConversationSave(conversationId);
+        }
 
-        const response = this.parseAPIResponse(responseData, this.state.settings.llm.provider);
-        if (response && response.content) {
-          this.addMessage('assistant', response.content, conversationId);
+        if (!toolCalls.length) {
+          if (!streamMsg && response && response.content) {
+            return this.addMessage('assistant', response.content, conversationId, { model: response.model || model, ...usageFields });
+          }
+          return streamMsg;
         }
 
-        if (response && response.tool_calls && response.tool_calls.length > 0) {
-          // Tool-usage simulation
-          this.addMessage('assistant', `Using tools: ${response.tool_calls.map(tc => tc.function.name).join(', ')}`, conversationId);
-          conversation.messages.push({ role: 'assistant', content: null, tool_calls: response.tool_calls });
-          const toolResults = await Promise.all(response.tool_calls.map(tc => this.executeTool(tc)));
-          toolResults.forEach((result, index) => {
-            conversation.messages.push({
-              role: 'tool',
-              tool_call_id: response.tool_calls[index].id,
-              name: response.tool_calls[index].function.name,
-              content: JSON.stringify(result)
-            });
-            this.addMessage('tool', JSON.stringify(result), conversationId);
+        // Assistant turn that requests tools: kept verbatim so it can be replayed to the API
+        if (!streamMsg) {
+          this.addMessage('assistant', response.content || '', conversationId, {
+            model: response.model || model,
+            tool_calls: toolCalls,
+            ...usageFields
           });
-          // loop again to let model consume tool outputs
-        } else {
+        }
+        this.showTypingIndicator();
+
+        // Out of tool budget: answer the calls with a skip notice so the history stays valid
+        const overBudget = this.checkRunBudget(run, budget, toolCalls.length);
+        const repeats = overBudget ? [] : toolCalls.map(tc => this.countRepeatedCall(run, tc));
+        const looping = repeats.some(n => n >= this.loopThreshold);
+        if (looping) {
+          run.loopWarnings++;
+          const names = [...new Set(toolCalls.filter((_, i) => repeats[i] >= this.loopThreshold).map(tc => tc.function?.name))].join(', ');
+          this.addMessage('system', `🔁 Possible loop: the model repeated an identical **${names}** call ${Math.max(...repeats)} times with the same arguments. The repeat was not run.`, conversationId, { uiOnly: true, loopWarning: true });
+        }
+
+        // Every call gets a result, even when cancelled, so the history stays valid for the next request
+        const attachments = toolCalls.map(() => []);
+        const toolResults = await Promise.all(toolCalls.map((tc, i) => {
+          if (overBudget) return { error: `Not run: the ${overBudget.label} budget for this run was reached.` };
+          if (repeats[i] >= this.loopThreshold) {
+            return { error: `Refused: this exact call was already made ${repeats[i] - 1} times in this run. Reuse the earlier result or try a different approach.` };
+          }
+          run.toolCalls++;
+          return this.executeTool(tc, conversationId, { signal, attachments: attachments[i] }).catch(err => {
+            if (this.isAbortError(err)) return { error: 'Cancelled by user' };
+            return { error: err.message || String(err) };
+          });
+        }));
+        toolResults.forEach((result, index) => {
+          this.addMessage('tool', JSON.stringify(result), conversationId, {
+            tool_call_id: toolCalls[index].id,
+            name: toolCalls[index].function.name,
+            ...(attachments[index].length ? { attachments: attachments[index] } : {})
+          });
+        });
+        this.throwIfAborted(signal);
+        if (overBudget || run.loopWarnings >= 2) {
+          this.postBudgetNotice(conversationId, overBudget || { reason: 'loop', label: 'loop' }, budget, run);
           break;
         }
+        // loop again to let model consume tool outputs
       } catch (err) {
+        if (streamMsg?.streaming) {
+          delete streamMsg.streaming;
+          this.updateMessageElement(streamMsg);
+          this.scheduleConversationSave(conversationId);
+        }
+        if (this.isAbortError(err) || signal?.aborted) throw this.createAbortError();
         console.error('Error during agent loop iteration:', err);
-        this.addMessage('system', `Agent iteration error: ${err.message || err}`, conversationId);
+        if (err.kind) {
+          // Classified LLM failure: the message already says what to do about it
+          this.addMessage('system', `⚠️ ${err.message}`, conversationId, { uiOnly: true, errorKind: err.kind });
+          this.showToast('error', err.title, err.message.replace(/\*\*/g, ''));
+        } else {
+          this.addMessage('system', `Agent iteration error: ${err.message || err}`, conversationId, { uiOnly: true });
+        }
         break;
       }
     }
   }
 
   // =========================
-  // ======== LLM I/O ========
+  // ======= PERSONAS ========
   // =========================
-  async callLLM(conversation) {
-    // Compose OpenAI-style messages for compatibility
-    const messagesForApi = conversation.messages.map(m => {
-      if (m.role === 'tool') {
-        return { role: 'system', content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content) };
+  /**
+   * Built-in persona library. `model`/`temperature` left empty fall back to the
+   * API tab; `tools: null` allows every enabled tool.
+   */
+  getDefaultPersonas() {
+    return [
+      {
+        id: 'default',
+        name: 'General assistant',
+        systemPrompt: 'You are Querya, a helpful assistant running in the user\'s browser. Use the available tools when they help: search the web for current facts, run JavaScript for calculations, inspect uploaded files and draw charts. Be concise and cite sources from search results.',
+        model: '',
+        temperature: null,
+        tools: null
+      },
+      {
+        id: 'analyst',
+        name: 'Data analyst',
+        systemPrompt: 'You are a careful data analyst. Inspect uploaded files with process_file before drawing conclusions, compute with execute_code rather than by hand, and show results as charts when they make a trend clearer. State assumptions and data-quality issues.',
+        model: '',
+        temperature: 0.2,
+        tools: ['process_file', 'execute_code', 'create_visualization']
+      },
+      {
+        id: 'researcher',
+        name: 'Web researcher',
+        systemPrompt: 'You are a research assistant. Search the web before answering questions about current events or facts you are unsure of, compare several sources, and cite every claim with its URL.',
+        model: '',
+        temperature: 0.3,
+        tools: ['web_search', 'execute_code']
       }
-      return { role: m.role, content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content) };
-    }).filter(m => !!m.content);
+    ];
+  }
 
-    const { provider, apiKey, model, maxTokens, temperature, baseUrl } = this.state.settings.llm || {};
-    if (!provider) throw new Error('No LLM provider configured.');
+  getPersona(id) {
+    return (this.state.settings.personas || []).find(p => p.id === id) || null;
+  }
 
-    // Demo fallback
-    if (!apiKey) {
-      return { choices: [{ message: { content: "💡 Demo response: add your AI Pipe token in Settings to query real models." } }] };
-    }
+  /** Library version of the conversation's persona, or the copy stored on it if it was since deleted. */
+  getConversationPersona(conversation) {
+    if (!conversation?.persona) return null;
+    return this.getPersona(conversation.persona.id) || conversation.persona;
+  }
 
-    // ---- AI Pipe only ----
-    if (provider !== 'aipipe') {
-      throw new Error('Only AI Pipe is supported in this build. (Provider forced to AI Pipe)');
-    }
+  getConversationModel(conversation) {
+    return this.getConversationPersona(conversation)?.model || this.state.settings.llm.model;
+  }
 
-    // Primary: OpenRouter-compatible endpoint via AI Pipe
-    const apiUrl = `${baseUrl.replace(/\/+$/,'')}/openrouter/v1/chat/completions`;
-    const headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` };
-    const body = {
-      model: model || 'openai/gpt-4o-mini',
-      messages: messagesForApi.map(m => ({ role: m.role, content: m.content })),
-      max_tokens: maxTokens,
-      temperature
-    };
+  /** Enabled tools, narrowed to the persona's allow-list when it has one. */
+  getConversationTools(conversation) {
+    const allowed = this.getConversationPersona(conversation)?.tools;
+    const tools = this.getActiveTools();
+    return Array.isArray(allowed) ? tools.filter(t => allowed.includes(t.function.name)) : tools;
+  }
 
-    try {
-      const resp = await fetch(apiUrl, { method: 'POST', headers, body: JSON.stringify(body) });
-      if (!resp.ok) {
-        let errText = `${resp.status} ${resp.statusText}`;
-        try { const errJson = await resp.json(); errText = errJson.error?.message || JSON.stringify(errJson); } catch (_) {}
-        // Helpful hint for wrong model vs token
-        throw new Error(`AI Pipe error (${resp.status}): ${errText}. Tip: ensure your token has access to **${body.model}**, or pick a listed model in Settings.`);
-      }
-      const data = await resp.json();
-      return data;
-    } catch (err) {
-      // Retry once via OpenAI-compatible endpoint if OpenRouter path fails hard
-      try {
-        const altUrl = `${baseUrl.replace(/\/+$/,'')}/openai/v1/chat/completions`;
-        const resp2 = await fetch(altUrl, { method: 'POST', headers, body: JSON.stringify({
-          model: body.model,
-          messages: body.messages,
-          max_tokens: body.max_tokens,
-          temperature: body.temperature
-        })});
-        if (!resp2.ok) {
-          let errText = `${resp2.status} ${resp2.statusText}`;
-          try { const errJson = await resp2.json(); errText = errJson.error?.message || JSON.stringify(errJson); } catch (_) {}
-          throw new Error(`AI Pipe (fallback) error (${resp2.status}): ${errText}`);
-        }
-        return await resp2.json();
-      } catch (err2) {
-        throw new Error(err2.message || err.message || 'Network error');
-      }
+  /** Puts the persona's system prompt in front of the API messages. */
+  withPersonaPrompt(conversation, messages) {
+    const prompt = this.getConversationPersona(conversation)?.systemPrompt?.trim();
+    return prompt ? [{ role: 'system', content: prompt }, ...messages] : messages;
+  }
+
+  /** Model/temperature overrides for sendCompletion() from the conversation's persona. */
+  getPersonaOverrides(conversation) {
+    const persona = this.getConversationPersona(conversation);
+    const overrides = {};
+    if (persona?.model) overrides.model = persona.model;
+    if (Number.isFinite(persona?.temperature)) overrides.temperature = persona.temperature;
+    return overrides;
+  }
+
+  setConversationPersona(conversationId, personaId) {
+    const conv = this.state.conversations.get(conversationId);
+    const persona = this.getPersona(personaId);
+    if (!conv || !persona || conv.persona?.id === persona.id) return;
+    conv.persona = { ...persona };
+    if (conv.messages.length) {
+      this.addMessage('system', `Persona switched to **${persona.name}**.`, conversationId, { uiOnly: true });
     }
+    this.saveCurrentConversation();
+    this.updateChatHeader();
   }
 
-  parseAPIResponse(data, provider) {
-    try {
-      // OpenAI/OpenRouter-like
-      if (data?.choices?.length) {
-        const msg = data.choices[0].message || {};
-        return { content: msg.content || data.choices[0].text || '' };
-      }
-      // Some providers return {candidates:[{content:{parts:[{text:"..."}]}}]}
-      if (data?.candidates?.length) {
-        const parts = data.candidates[0].content?.parts || data.candidates[0].content || [];
-        const text = Array.isArray(parts) ? parts.map(p => p.text || p).join('') : parts;
-        return { content: text };
-      }
-      // Fallback dump
-      return { content: typeof data === 'string' ? data : 'Received an unrecognized response format.' };
-    } catch (e) {
-      console.error('Error parsing API response:', e, data);
-      throw new Error('Could not parse the API response.');
+  /** Fills the header and new-chat persona pickers. */
+  renderPersonaOptions() {
+    const personas = this.state.settings.personas || [];
+    const options = personas.map(p => `<option value="${this.escapeHtml(p.id)}">${this.escapeHtml(p.name)}</option>`).join('');
+    const conv = this.state.conversations.get(this.state.currentConversationId);
+    const chatSelect = document.getElementById('chat-persona');
+    if (chatSelect) {
+      const current = this.getConversationPersona(conv);
+      const orphan = current && !this.getPersona(current.id)
+        ? `<option value="${this.escapeHtml(current.id)}">${this.escapeHtml(current.name)} (deleted)</option>` : '';
+      chatSelect.innerHTML = (current ? '' : '<option value="">No persona</option>') + orphan + options;
+      chatSelect.value = current?.id || '';
+    }
+    const newSelect = document.getElementById('new-chat-persona');
+    if (newSelect) {
+      const previous = newSelect.value;
+      newSelect.innerHTML = options;
+      newSelect.value = this.getPersona(previous) ? previous : (this.state.settings.defaultPersonaId || personas[0]?.id || '');
     }
   }
 
-  // =========================
-  // ======= TOOLS (stubs) ===
-  // =========================
-  async executeTool(toolCall) {
-    const func = toolCall.function || {};
-    const name = func.name || 'unknown';
-    let args = {};
-    try {
-      if (toolCall.arguments) {
-        args = typeof toolCall.arguments === 'string' ? JSON.parse(toolCall.arguments) : toolCall.arguments;
-      }
-    } catch (_) { args = {}; }
+  // ---- Settings → Personas editor (works on a draft until Save) ----
+  populatePersonaEditor() {
+    this.personaDraft = (this.state.settings.personas || []).map(p => ({ ...p, tools: p.tools ? [...p.tools] : null }));
+    this.editingPersonaId = this.personaDraft[0]?.id || null;
+    this.renderPersonaEditor();
+  }
+
+  renderPersonaEditor() {
+    const draft = this.personaDraft || [];
+    const options = draft.map(p => `<option value="${this.escapeHtml(p.id)}">${this.escapeHtml(p.name || 'Untitled')}</option>`).join('');
+    const editSelect = document.getElementById('persona-edit-select');
+    if (editSelect) { editSelect.innerHTML = options; editSelect.value = this.editingPersonaId || ''; }
+    const defaultSelect = document.getElementById('default-persona');
+    if (defaultSelect) {
+      const wanted = defaultSelect.dataset.pending || this.state.settings.defaultPersonaId;
+      defaultSelect.innerHTML = options;
+      defaultSelect.value = draft.some(p => p.id === wanted) ? wanted : (draft[0]?.id || '');
+    }
 
-    this.addMessage('system', `Executing tool: ${name}`, this.state.currentConversationId);
-    switch (name) {
-      case 'web_search': return await this.executeWebSearch(args);
-      case 'execute_code': return await this.executeCode(args);
-      case 'process_file': return await this.processFile(args);
-      case 'create_visualization': return await this.createVisualization(args);
-      default: return { error: `Unknown tool: ${name}` };
+    const persona = draft.find(p => p.id === this.editingPersonaId);
+    const setVal = (id, v) => { const e = document.getElementById(id); if (e) { e.value = v ?? ''; e.disabled = !persona; } };
+    setVal('persona-name', persona?.name);
+    setVal('persona-prompt', persona?.systemPrompt);
+    setVal('persona-model', persona?.model);
+    setVal('persona-temperature', Number.isFinite(persona?.temperature) ? persona.temperature : '');
+
+    const allTools = document.getElementById('persona-all-tools');
+    if (allTools) allTools.checked = !persona || !Array.isArray(persona.tools);
+    const list = document.getElementById('persona-tools');
+    if (list) {
+      list.innerHTML = [...this.toolRegistry.keys()].map(name => `
+        <label class="checkbox-label">
+          <input type="checkbox" data-persona-tool="${this.escapeHtml(name)}" ${!Array.isArray(persona?.tools) || persona.tools.includes(name) ? 'checked' : ''} ${allTools?.checked ? 'disabled' : ''} />
+          <span>${this.escapeHtml(name)}</span>
+        </label>`).join('');
     }
+    const del = document.getElementById('persona-delete');
+    if (del) del.disabled = draft.length <= 1;
+  }
+
+  /** Copies the editor fields back into the draft persona being edited. */
+  readPersonaEditor() {
+    const persona = (this.personaDraft || []).find(p => p.id === this.editingPersonaId);
+    if (!persona) return;
+    const val = (id) => document.getElementById(id)?.value ?? '';
+    persona.name = val('persona-name').trim() || 'Untitled persona';
+    persona.systemPrompt = val('persona-prompt');
+    persona.model = val('persona-model').trim();
+    const temperature = parseFloat(val('persona-temperature'));
+    persona.temperature = Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 2) : null;
+    persona.tools = document.getElementById('persona-all-tools')?.checked
+      ? null
+      : [...document.querySelectorAll('#persona-tools input[data-persona-tool]:checked')].map(cb => cb.dataset.personaTool);
+    const defaultSelect = document.getElementById('default-persona');
+    if (defaultSelect) defaultSelect.dataset.pending = defaultSelect.value;
+  }
+
+  selectPersonaForEdit(id) {
+    this.readPersonaEditor();
+    this.editingPersonaId = id;
+    this.renderPersonaEditor();
+  }
+
+  addPersona() {
+    this.readPersonaEditor();
+    const persona = { id: this.generateId('persona'), name: 'New persona', systemPrompt: '', model: '', temperature: null, tools: null };
+    this.personaDraft.push(persona);
+    this.editingPersonaId = persona.id;
+    this.renderPersonaEditor();
+    document.getElementById('persona-name')?.select();
   }
 
-  async executeWebSearch({ query, results = 5 }) { return { status: `Simulated search for: ${query}`, items: [] }; }
-  async executeCode({ code }) { return { output: `Simulated execution of: ${code}` }; }
-  async processFile({ fileId, operation }) { return { result: `Simulated ${operation} on file ${fileId}` }; }
-  async createVisualization({ data, type, title }) { return { chartUrl: `Simulated ${type} chart titled "${title}"` }; }
+  deletePersona() {
+    if (!this.personaDraft || this.personaDraft.length <= 1) return;
+    this.personaDraft = this.personaDraft.filter(p => p.id !== this.editingPersonaId);
+    this.editingPersonaId = this.personaDraft[0].id;
+    this.renderPersonaEditor();
+  }
 
   // =========================
-  // ====== UI MESSAGES ======
+  // ===== USAGE & COST ======
   // =========================
-  addMessage(role, content, conversationId) {
-    try {
-      const convId = conversationId || this.state.currentConversationId;
-      if (!convId) return;
-      const conversation = this.state.conversations.get(convId);
-      if (!conversation || content === null || content === undefined) return;
+  /** Fallback list prices in USD per 1M tokens, matched by longest model-id prefix. */
+  getBuiltinPrices() {
+    return {
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+      'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+      'gpt-4.1': { input: 2, output: 8 },
+      'gpt-4-turbo': { input: 10, output: 30 },
+      'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+      'o3-mini': { input: 1.1, output: 4.4 },
+      'o4-mini': { input: 1.1, output: 4.4 },
+      'claude-3-5-haiku': { input: 0.8, output: 4 },
+      'claude-3-5-sonnet': { input: 3, output: 15 },
+      'claude-3-7-sonnet': { input: 3, output: 15 },
+      'claude-sonnet-4': { input: 3, output: 15 },
+      'claude-opus-4': { input: 15, output: 75 },
+      'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+      'gemini-1.5-pro': { input: 1.25, output: 5 },
+      'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+      'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+      'gemini-2.5-pro': { input: 1.25, output: 10 }
+    };
+  }
 
-      const message = { id: `msg_${Date.now()}`, role, content, timestamp: Date.now() };
-      conversation.messages.push(message);
+  /** `openai/gpt-4o-mini`, `models/gemini-2.0-flash` → bare model id for price lookups. */
+  normalizeModelId(model) {
+    return String(model || '').toLowerCase().replace(/^models\//, '').replace(/^[a-z0-9-]+\//, '');
+  }
 
-      if (role !== 'system' && typeof content === 'string') {
-        conversation.preview = content.substring(0, 100);
-        if (!conversation.title || conversation.title === 'New Conversation') {
-          conversation.title = content.substring(0, 30) || 'Conversation';
-        }
-        conversation.updatedAt = Date.now();
-        this.updateConversationList();
-      }
+  /**
+   * USD per 1M tokens for a model: the user's price table wins, then pricing
+   * metadata reported by the provider's model list, then the built-in list.
+   */
+  getModelPrice(model) {
+    const id = String(model || '').toLowerCase();
+    const bare = this.normalizeModelId(model);
+    const own = this.state.settings.usage?.prices || {};
+    const match = own[id] || own[bare];
+    if (match) return { ...match, source: 'price table' };
+    const meta = this.modelPricing.get(id) || this.modelPricing.get(bare);
+    if (meta) return { ...meta, source: 'provider' };
+    const builtin = this.getBuiltinPrices();
+    const key = Object.keys(builtin).filter(k => bare.startsWith(k)).sort((a, b) => b.length - a.length)[0];
+    return key ? { ...builtin[key], source: 'list price' } : null;
+  }
 
-      this.displayMessage(message);
-      this.scrollToBottom();
-    } catch (e) {
-      console.error('addMessage error', e);
-    }
+  /** Cost in USD for one completion, or null when the model has no known price. */
+  priceUsage(model, usage) {
+    if (!usage) return null;
+    if (typeof usage.cost === 'number') return usage.cost; // OpenRouter-style providers report it directly
+    const price = this.getModelPrice(model);
+    if (!price) return null;
+    return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
   }
 
-  displayMessage(message) {
+  createUsageTotals() {
+    return { calls: 0, prompt: 0, completion: 0, cost: 0, unpriced: 0, models: {} };
+  }
+
+  addUsageToTotals(totals, model, usage, cost) {
+    const bump = (t) => {
+      t.calls++;
+      t.prompt += usage.prompt_tokens || 0;
+      t.completion += usage.completion_tokens || 0;
+      if (cost == null) t.unpriced++; else t.cost += cost;
+    };
+    bump(totals);
+    bump(totals.models[model] || (totals.models[model] = { calls: 0, prompt: 0, completion: 0, cost: 0, unpriced: 0 }));
+  }
+
+  todayKey() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  /** Daily totals live in localStorage (`agentflow_usage`), keyed by local date; 90 days are kept. */
+  loadUsageLedger() {
     try {
-      if (!this.elements.messages) return;
-      const messageEl = document.createElement('div');
-      messageEl.className = `message ${message.role}`;
-      messageEl.dataset.messageId = message.id;
+      const stored = JSON.parse(localStorage.getItem('agentflow_usage') || 'null');
+      return stored && typeof stored.days === 'object' ? stored : { days: {} };
+    } catch (_) {
+      return { days: {} };
+    }
+  }
 
-      const senderName = { user: 'You', assistant: 'Querya', system: 'System', tool: 'Tool' }[message.role] || message.role;
-      const avatarIcon = { user: 'fa-user', assistant: 'fa-robot', system: 'fa-cog', tool: 'fa-wrench' }[message.role] || 'fa-comment';
+  saveUsageLedger() {
+    const keys = Object.keys(this.usageLedger.days).sort();
+    keys.slice(0, Math.max(keys.length - 90, 0)).forEach(k => delete this.usageLedger.days[k]);
+    try { localStorage.setItem('agentflow_usage', JSON.stringify(this.usageLedger)); } catch (e) { console.warn('Could not save usage totals', e); }
+  }
 
-      let processedContent = '';
-      if (typeof message.content === 'string' && window.marked) {
-        try { processedContent = marked.parse(message.content); }
-        catch { processedContent = `<p>${this.escapeHtml(message.content)}</p>`; }
-      } else if (typeof message.content === 'string') {
-        processedContent = `<p>${this.escapeHtml(message.content)}</p>`;
-      } else {
-        processedContent = `<pre><code>${this.escapeHtml(JSON.stringify(message.content, null, 2))}</code></pre>`;
-      }
+  getTodayUsage() {
+    const key = this.todayKey();
+    return this.usageLedger.days[key] || (this.usageLedger.days[key] = this.createUsageTotals());
+  }
 
-      messageEl.innerHTML = `
-        <div class="message-header">
-          <div class="message-avatar ${message.role}"><i class="fas ${avatarIcon}"></i></div>
-          <div class="message-info"><div class="message-sender">${this.escapeHtml(senderName)}</div></div>
-        </div>
-        <div class="message-content">${processedContent}</div>
-      `;
+  /** Prices a completion's usage and adds it to the session and daily totals; returns the cost. */
+  recordUsage(model, usage) {
+    if (!usage) return null;
+    const cost = this.priceUsage(model, usage);
+    this.addUsageToTotals(this.sessionUsage, model, usage, cost);
+    this.addUsageToTotals(this.getTodayUsage(), model, usage, cost);
+    this.saveUsageLedger();
+    this.updatePerformanceDisplay();
+    return cost;
+  }
 
-      this.elements.messages.appendChild(messageEl);
+  /**
+   * Throws a `spend_cap` error once the session or daily cap (USD, 0 = off) is reached,
+   * or would be by `projected` more spend (used before starting several calls at once).
+   */
+  checkSpendCap(adapter, model, projected = 0) {
+    const { sessionCap = 0, dailyCap = 0 } = this.state.settings.usage || {};
+    const today = this.getTodayUsage();
+    const extra = projected > 0 ? ` and this would add about ${this.formatCost(projected)}` : '';
+    let detail = '';
+    if (dailyCap > 0 && today.cost + projected >= dailyCap) detail = `today's spend is ${this.formatCost(today.cost)} of a ${this.formatCost(dailyCap)} daily cap${extra}`;
+    else if (sessionCap > 0 && this.sessionUsage.cost + projected >= sessionCap) detail = `this session's spend is ${this.formatCost(this.sessionUsage.cost)} of a ${this.formatCost(sessionCap)} cap${extra}`;
+    if (detail) throw this.createLLMError({ kind: 'spend_cap', adapter, model, detail });
+  }
 
-      if (window.hljs) {
-        messageEl.querySelectorAll('pre code').forEach(block => {
-          try { hljs.highlightElement(block); } catch (_) {}
-        });
-      }
-    } catch (e) {
-      console.error('displayMessage error', e);
-    }
+  /**
+   * Upper-bound cost of sending the conversation once to each of `models` without
+   * tools: the history that fits each window plus a full-length reply. Unpriced models count as 0.
+   */
+  estimateComparisonCost(conversation, models) {
+    const { units, summary } = this.collectContextUnits(conversation);
+    const history = units.reduce((sum, u) => sum + u.tokens, 0);
+    return models.reduce((sum, model) => {
+      const budget = this.getContextBudget(conversation, summary, { model, tools: [] });
+      const usage = { prompt_tokens: budget.fixed + Math.min(history, budget.available), completion_tokens: budget.reserve };
+      return sum + (this.priceUsage(model, usage) || 0);
+    }, 0);
+  }
+
+  getConversationUsage(conversation) {
+    const totals = this.createUsageTotals();
+    this.getMessageTree(conversation).forEach(m => {
+      if (m.usage) this.addUsageToTotals(totals, m.model || 'unknown', m.usage, m.cost ?? null);
+    });
+    return totals;
+  }
+
+  formatCost(n) {
+    if (n == null) return '—';
+    if (n === 0) return '$0.00';
+    return n < 0.01 ? `$${n.toFixed(4)}` : `$${n.toFixed(2)}`;
+  }
+
+  /** "1,234 tokens · $0.0012" for a message header; estimated counts get a "~". */
+  describeMessageUsage(message) {
+    if (!message.usage) return '';
+    const tokens = `${message.usage.estimated ? '~' : ''}${(message.usage.total_tokens || 0).toLocaleString()} tokens`;
+    return [message.model, tokens, message.cost != null ? this.formatCost(message.cost) : null].filter(Boolean).join(' · ');
+  }
+
+  /** Price table textarea: one `model: input, output` line per model, USD per 1M tokens. */
+  parsePriceTable(text) {
+    const prices = {};
+    String(text || '').split('\n').forEach(line => {
+      const m = line.trim().match(/^([^:#\s][^:]*?)\s*:\s*([\d.]+)\s*[,/ ]\s*([\d.]+)\s*$/);
+      if (m) prices[m[1].toLowerCase()] = { input: parseFloat(m[2]), output: parseFloat(m[3]) };
+    });
+    return prices;
+  }
+
+  formatPriceTable(prices) {
+    return Object.entries(prices || {}).map(([model, p]) => `${model}: ${p.input}, ${p.output}`).join('\n');
   }
 
   // =========================
-  // ===== CONVERSATIONS =====
+  // ===== CONTEXT WINDOW ====
   // =========================
-  createNewConversation() {
-    const id = `conv_${Date.now()}`;
-    const convObj = { id, title: 'New Conversation', messages: [], createdAt: Date.now(), updatedAt: Date.now(), preview: '...' };
-    this.state.conversations.set(id, convObj);
-    this.loadConversation(id);
-    return id;
+  /**
+   * Context window in tokens for a model id. `advanced.contextWindow` overrides
+   * the table; unknown models get a conservative 8k.
+   */
+  getContextWindow(model) {
+    const override = parseInt(this.state.settings.advanced.contextWindow, 10);
+    if (override > 0) return override;
+    const id = String(model || '').toLowerCase();
+    const table = [
+      [/gpt-4\.1|gemini-(1\.5|2)/, 1000000],
+      [/claude/, 200000],
+      [/gpt-5|gpt-4o|gpt-4-turbo|(^|\/)o[134](-|$)|llama-?3\.[1-3]|llama-?4|mistral-large|qwen|deepseek/, 128000],
+      [/gpt-4-32k|gemini|mixtral|mistral/, 32768],
+      [/gpt-3\.5/, 16385],
+      [/gpt-4/, 8192]
+    ];
+    return (table.find(([pattern]) => pattern.test(id)) || [null, 8192])[1];
   }
 
-  loadConversation(id) {
-    if (!id) return;
-    this.state.currentConversationId = id;
-    const conversation = this.state.conversations.get(id);
-    if (!this.elements.messages) return;
+  /** Rough token count (~4 characters per token); good enough for budgeting, not billing. */
+  estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil((typeof text === 'string' ? text : JSON.stringify(text)).length / 4);
+  }
 
-    this.elements.messages.innerHTML = '';
-    if (conversation && conversation.messages && conversation.messages.length) {
-      this.hideWelcomeScreen();
-      conversation.messages.forEach(msg => this.displayMessage(msg));
-    } else {
-      this.showWelcomeScreen();
-    }
-    this.updateConversationList();
-    this.updateChatHeader();
+  estimateMessageTokens(message) {
+    let tokens = 4 + this.estimateTokens(message.content);
+    if (message.tool_calls?.length) tokens += this.estimateTokens(JSON.stringify(message.tool_calls));
+    if (message.name) tokens += 1;
+    // Vision models bill roughly one token per 750 pixels of a (downscaled) image
+    (message.images || []).forEach(img => { tokens += Math.ceil(((img.width || 512) * (img.height || 512)) / 750); });
+    return tokens;
   }
 
-  clearConversationMessages() {
-    if (!this.state.currentConversationId) return;
-    if (!confirm('Clear all messages in this conversation?')) return;
-    const conv = this.state.conversations.get(this.state.currentConversationId);
-    if (!conv) return;
-    conv.messages = [];
-    conv.preview = 'Cleared';
-    conv.updatedAt = Date.now();
-    this.loadConversation(this.state.currentConversationId);
-    this.saveCurrentConversation();
+  /**
+   * Groups the model-visible messages after the latest pinned summary into turns
+   * that must be kept or dropped together: an assistant tool call travels with its
+   * tool results.
+   */
+  collectContextUnits(conversation) {
+    const visible = (conversation.messages || []).filter(m => m && !m.uiOnly);
+    let summary = null;
+    let start = 0;
+    visible.forEach((m, i) => { if (m.summary) { summary = m; start = i + 1; } });
+
+    const units = [];
+    visible.slice(start).forEach(m => {
+      const last = units[units.length - 1];
+      if (m.role === 'tool' && last?.messages[0].tool_calls?.length) last.messages.push(m);
+      else units.push({ messages: [m], tokens: 0 });
+    });
+    units.forEach(u => {
+      u.tokens = u.messages.reduce((sum, m) => sum + this.estimateMessageTokens(m), 0);
+      u.bookmarked = u.messages.some(m => m.bookmarked);
+    });
+    return { units, summary };
   }
 
-  async loadConversationHistory() {
-    try {
-      const stored = localStorage.getItem('agentflow_conversations');
-      if (stored) {
-        const parsed = JSON.parse(stored);
-        let entries = [];
-        if (Array.isArray(parsed)) entries = parsed;
-        else if (typeof parsed === 'object') entries = Object.entries(parsed);
-        this.state.conversations = new Map(entries.map(([k, v]) => [k, v]));
-        Array.from(this.state.conversations.values()).forEach(conv => {
-          conv.updatedAt = conv.updatedAt || conv.createdAt || Date.now();
-          conv.messages = conv.messages || [];
-        });
-        const recent = Array.from(this.state.conversations.values()).sort((a, b) => b.updatedAt - a.updatedAt)[0];
-        if (recent) this.loadConversation(recent.id); else this.createNewConversation();
-      } else {
-        this.createNewConversation();
+  /**
+   * Window, reply reserve and the fixed cost (tool schemas, system prompt, file list, summary) for a conversation.
+   * `model` and `tools` default to the conversation's; pass them when a request overrides either.
+   */
+  getContextBudget(conversation, summary = null, { model, tools } = {}) {
+    const window = this.getContextWindow(model || this.getConversationModel(conversation));
+    const reserve = Math.min(parseInt(this.state.settings.llm.maxTokens, 10) || 2000, Math.floor(window / 2));
+    const fixed = this.estimateTokens(JSON.stringify(tools || this.getConversationTools(conversation))) +
+      this.estimateTokens(this.getConversationPersona(conversation)?.systemPrompt) +
+      this.estimateTokens(this.describeFilesForModel(conversation)) +
+      (summary ? this.estimateMessageTokens(summary) : 0);
+    return { window, reserve, fixed, available: Math.max(window - reserve - fixed, 0) };
+  }
+
+  /**
+   * Newest-first selection of units that fit in `budget`; the latest unit is always
+   * kept. The result starts on a user turn, since Anthropic and Gemini reject
+   * histories that open with the assistant.
+   */
+  takeRecentUnits(units, budget) {
+    const kept = [];
+    let used = 0;
+    for (let i = units.length - 1; i >= 0; i--) {
+      if (kept.length && used + units[i].tokens > budget) break;
+      kept.unshift(units[i]);
+      used += units[i].tokens;
+    }
+    while (kept.length > 1 && kept[0].messages[0].role !== 'user') kept.shift();
+    return kept;
+  }
+
+  /**
+   * Picks the messages for the next request so they fit the model's context.
+   * Strategies (`advanced.contextStrategy`):
+   *   - drop_oldest: send the most recent turns that fit
+   *   - summarize: fold the turns that no longer fit into a pinned summary message
+   *   - bookmarks: bookmarked turns (up to half the budget) plus the recent tail
+   * `model` and `tools` size the budget for a request that overrides the conversation's
+   * (regenerate with another model, compare mode).
+   */
+  async prepareContext(conversation, { signal, model, tools } = {}) {
+    let { units, summary } = this.collectContextUnits(conversation);
+    let budget = this.getContextBudget(conversation, summary, { model, tools });
+    const total = units.reduce((sum, u) => sum + u.tokens, 0);
+    if (total <= budget.available) {
+      conversation.contextTrimmed = 0;
+      return this.buildApiMessages(conversation, units.flatMap(u => u.messages), summary);
+    }
+
+    const strategy = this.state.settings.advanced.contextStrategy || 'summarize';
+    let kept;
+    if (strategy === 'bookmarks') {
+      const pinned = new Set();
+      let pinnedTokens = 0;
+      units.slice(0, -1).filter(u => u.bookmarked).reverse().forEach(u => {
+        if (pinnedTokens + u.tokens > budget.available / 2) return;
+        pinned.add(u);
+        pinnedTokens += u.tokens;
+      });
+      const tail = new Set(this.takeRecentUnits(units.filter(u => !pinned.has(u)), budget.available - pinnedTokens));
+      kept = units.filter(u => pinned.has(u) || tail.has(u));
+    } else if (strategy === 'summarize') {
+      // Leave room for the summary itself
+      const allowance = Math.min(1000, Math.floor(budget.available * 0.15));
+      kept = this.takeRecentUnits(units, budget.available - allowance);
+      const dropped = units.slice(0, units.length - kept.length);
+      try {
+        summary = await this.summarizeContext(conversation, dropped, summary, kept[0].messages[0], { signal, model });
+        budget = this.getContextBudget(conversation, summary, { model, tools });
+        kept = this.takeRecentUnits(kept, budget.available);
+      } catch (e) {
+        if (this.isAbortError(e)) throw e;
+        console.warn('Could not summarize older turns, dropping them instead', e);
       }
-    } catch (e) {
-      console.warn('Could not load conversation history, starting fresh.', e);
-      this.state.conversations = new Map();
-      this.createNewConversation();
+    } else {
+      kept = this.takeRecentUnits(units, budget.available);
     }
+
+    conversation.contextTrimmed = units.length - kept.length;
+    this.updateContextMeter();
+    return this.buildApiMessages(conversation, kept.flatMap(u => u.messages), summary);
   }
 
-  saveCurrentConversation() {
-    try {
-      if (this.state.settings.advanced.autoSave) {
-        localStorage.setItem('agentflow_conversations', JSON.stringify(Array.from(this.state.conversations.entries())));
+  /**
+   * Asks the model to compress `units` (and any earlier summary) and pins the
+   * result as a `summary` message right before `beforeMessage`; everything above
+   * it is no longer sent. A summary made for a `model` other than the
+   * conversation's is only used for that request and not pinned, so the
+   * conversation's own model keeps the turns it has room for.
+   */
+  async summarizeContext(conversation, units, previousSummary, beforeMessage, { signal, model } = {}) {
+    const conversationModel = this.getConversationModel(conversation);
+    const summaryModel = model || conversationModel;
+    const window = this.getContextWindow(summaryModel);
+    const maxChars = Math.max(4000, Math.floor(window * 0.5) * 4);
+    const clip = (text, n) => (text.length > n ? `${text.slice(0, n)}…` : text);
+    let transcript = units.flatMap(u => u.messages).map(m => {
+      const who = m.role === 'tool' ? `tool ${m.name || ''}`.trim() : m.role;
+      const calls = m.tool_calls?.length ? ` [calls: ${m.tool_calls.map(tc => `${tc.function?.name}(${clip(tc.function?.arguments || '', 200)})`).join(', ')}]` : '';
+      const content = typeof m.content === 'string' ? m.content : JSON.stringify(m.content);
+      return `${who}: ${clip(content || '', m.role === 'tool' ? 1000 : 3000)}${calls}`;
+    }).join('\n\n');
+    if (transcript.length > maxChars) transcript = `…${transcript.slice(-maxChars)}`;
+
+    const response = await this.sendCompletion([
+      {
+        role: 'system',
+        content: 'You compress chat history. Write a concise summary (at most ~250 words) of the conversation below for the assistant to continue from. Keep facts, decisions, names, numbers, file ids, tool findings and open questions. No preamble.'
+      },
+      {
+        role: 'user',
+        content: `${previousSummary ? `Earlier summary:\n${previousSummary.content}\n\n` : ''}Conversation to summarize:\n${transcript}`
       }
-    } catch (e) {
-      console.warn('Could not save conversation', e);
+    ], { tools: [], signal, stream: false, model: summaryModel });
+    const text = (response?.content || '').trim();
+    if (!text || response.demo) throw new Error('No summary returned');
+
+    const message = {
+      id: this.generateId('msg'),
+      role: 'system',
+      content: text,
+      timestamp: Date.now(),
+      summary: true,
+      model: response.model,
+      usage: response.usage,
+      cost: response.cost ?? null,
+      summarizedCount: units.reduce((sum, u) => sum + u.messages.length, 0) + (previousSummary?.summarizedCount || 0)
+    };
+    if (summaryModel !== conversationModel) {
+      this.showToast('info', 'Context Summarized', `Older turns were condensed for ${summaryModel} to fit ${this.formatTokenCount(window)} tokens.`);
+      return message;
     }
+    const index = conversation.messages.indexOf(beforeMessage);
+    this.insertPathMessage(conversation, message, index === -1 ? conversation.messages.length : index);
+    this.scheduleConversationSave(conversation.id);
+    if (conversation.id === this.state.currentConversationId) this.loadConversation(conversation.id);
+    this.showToast('info', 'Context Summarized', `Older turns were condensed into a pinned summary to fit ${this.formatTokenCount(window)} tokens.`);
+    return message;
+  }
+
+  formatTokenCount(n) {
+    if (n >= 1e6) return `${+(n / 1e6).toFixed(1)}M`;
+    if (n >= 1e3) return `${+(n / 1e3).toFixed(1)}k`;
+    return String(n);
+  }
+
+  /** Header meter: estimated prompt size of the open conversation vs. the model's window. */
+  updateContextMeter() {
+    const meter = document.getElementById('context-meter');
+    const conv = this.state.conversations.get(this.state.currentConversationId);
+    if (!meter || !conv) return;
+    const { units, summary } = this.collectContextUnits(conv);
+    const budget = this.getContextBudget(conv, summary);
+    const used = budget.fixed + units.reduce((sum, u) => sum + u.tokens, 0);
+    const limit = budget.window - budget.reserve;
+    const ratio = limit > 0 ? used / limit : 1;
+    const strategy = {
+      drop_oldest: 'the oldest turns are dropped',
+      summarize: 'older turns are summarized',
+      bookmarks: 'only bookmarked turns and the recent tail are sent'
+    }[this.state.settings.advanced.contextStrategy || 'summarize'];
+
+    meter.classList.toggle('warn', ratio >= 0.75 && ratio < 1);
+    meter.classList.toggle('over', ratio >= 1);
+    const fill = meter.querySelector('.context-meter-fill');
+    if (fill) fill.style.width = `${Math.min(ratio, 1) * 100}%`;
+    const label = meter.querySelector('.context-meter-label');
+    if (label) label.textContent = `${this.formatTokenCount(used)} / ${this.formatTokenCount(budget.window)} tokens`;
+    meter.title = `~${used.toLocaleString()} prompt tokens (estimated) of a ${budget.window.toLocaleString()}-token window, ` +
+      `${budget.reserve.toLocaleString()} reserved for the reply. Over the limit, ${strategy}.` +
+      (conv.contextTrimmed ? ` Last request left out ${conv.contextTrimmed} older turn(s).` : '') +
+      (summary ? ` ${summary.summarizedCount || 0} earlier message(s) are covered by the pinned summary.` : '');
   }
 
   // =========================
-  // ======= SETTINGS ========
+  // ====== RUN BUDGETS ======
   // =========================
-  openSettings() {
-    this.populateSettingsForm();
-    this.elements.settingsModal?.classList.add('active');
+  /** Advanced-settings limits, overridden per conversation (`conversation.budget`). 0 means unlimited. */
+  getRunBudget(conversation) {
+    const adv = this.state.settings.advanced;
+    const defaults = {
+      maxTurns: adv.maxTurns,
+      maxToolCalls: adv.maxToolCalls,
+      maxRunSeconds: adv.maxRunSeconds,
+      maxRunTokens: adv.maxRunTokens
+    };
+    const own = conversation?.budget || {};
+    Object.keys(defaults).forEach(key => { if (Number.isFinite(own[key])) defaults[key] = own[key]; });
+    return defaults;
   }
-  closeSettings() { this.elements.settingsModal?.classList.remove('active'); }
-
-  populateSettingsForm() {
-    const s = this.state.settings || this.getDefaultSettings();
-    const provEl = document.getElementById('llm-provider');
-    const apiKeyEl = document.getElementById('api-key');
-    const maxTokensEl = document.getElementById('max-tokens');
-    const tempEl = document.getElementById('temperature');
-    const baseUrlEl = document.getElementById('base-url');
 
-    if (provEl) { this.lockProviderToAIpipe(); provEl.value = 'aipipe'; }
-    if (apiKeyEl) apiKeyEl.value = s.llm.apiKey || '';
-    if (maxTokensEl) maxTokensEl.value = s.llm.maxTokens || 2000;
+  /**
+   * First exhausted budget as `{ reason, label, detail }`, or null. Pass
+   * `pendingToolCalls` to check whether the calls about to run would fit.
+   */
+  checkRunBudget(run, budget, pendingToolCalls = 0) {
+    const elapsed = this.getRunElapsedMs(run) / 1000;
+    if (budget.maxRunSeconds > 0 && elapsed >= budget.maxRunSeconds) {
+      return { reason: 'time', label: 'time', detail: `${Math.round(elapsed)}s of ${budget.maxRunSeconds}s` };
+    }
+    if (budget.maxRunTokens > 0 && run.tokens >= budget.maxRunTokens) {
+      return { reason: 'tokens', label: 'token', detail: `${run.tokens.toLocaleString()} of ${budget.maxRunTokens.toLocaleString()} tokens` };
+    }
+    if (pendingToolCalls) {
+      if (budget.maxToolCalls > 0 && run.toolCalls + pendingToolCalls > budget.maxToolCalls) {
+        return { reason: 'tool_calls', label: 'tool-call', detail: `${run.toolCalls} of ${budget.maxToolCalls} tool calls used, ${pendingToolCalls} more requested` };
+      }
+      return null;
+    }
+    if (budget.maxTurns > 0 && run.turns >= budget.maxTurns) {
+      return { reason: 'turns', label: 'turn', detail: `${run.turns} of ${budget.maxTurns} turns` };
+    }
+    return null;
+  }
+
+  /** Time the agent has spent on the run, leaving out waits on the user (approval cards). */
+  getRunElapsedMs(run) {
+    const now = Date.now();
+    return now - run.startedAt - run.pausedMs - (run.pausedAt ? now - run.pausedAt : 0);
+  }
+
+  /**
+   * `maxRunSeconds` also has to hold while a model call or tool is still
+   * pending: when it passes, the run is aborted and runAgent posts the usual
+   * budget notice instead of "Stopped by user". The clock stops while an
+   * approval card waits (see pauseRunDeadline).
+   */
+  armRunDeadline(budget, run) {
+    const current = this.currentRun;
+    clearTimeout(current.deadline);
+    current.budgetClock = { budget, run };
+    if (!(budget.maxRunSeconds > 0)) return;
+    current.deadline = setTimeout(() => {
+      if (this.currentRun !== current || current.controller.signal.aborted) return;
+      const exhausted = { reason: 'time', label: 'time', detail: `${budget.maxRunSeconds}s of ${budget.maxRunSeconds}s` };
+      current.budgetStop = { exhausted, budget, run };
+      current.controller.abort();
+    }, Math.max(budget.maxRunSeconds * 1000 - this.getRunElapsedMs(run), 0));
+  }
+
+  /** Stops the run clock while the user decides on an approval card; calls nest for parallel tool calls. */
+  pauseRunDeadline(signal) {
+    const current = this.currentRun;
+    if (!current?.budgetClock || current.controller.signal !== signal) return;
+    const { run } = current.budgetClock;
+    if (run.pauses++ === 0) {
+      clearTimeout(current.deadline);
+      run.pausedAt = Date.now();
+    }
+  }
+
+  resumeRunDeadline(signal) {
+    const current = this.currentRun;
+    if (!current?.budgetClock || current.controller.signal !== signal) return;
+    const { budget, run } = current.budgetClock;
+    if (!run.pauses || --run.pauses > 0) return;
+    run.pausedMs += Date.now() - run.pausedAt;
+    run.pausedAt = null;
+    if (!signal.aborted) this.armRunDeadline(budget, run);
+  }
+
+  /** How many times this exact call (name + canonical args) has been requested in the run, including now. */
+  countRepeatedCall(run, toolCall) {
+    const args = this.safeJsonParse(toolCall.function?.arguments || '{}', toolCall.function?.arguments);
+    const canonical = (v) => (v && typeof v === 'object' && !Array.isArray(v)
+      ? Object.keys(v).sort().reduce((o, k) => { o[k] = canonical(v[k]); return o; }, {})
+      : Array.isArray(v) ? v.map(canonical) : v);
+    const key = `${toolCall.function?.name}:${JSON.stringify(canonical(args))}`;
+    const count = (run.callCounts.get(key) || 0) + 1;
+    run.callCounts.set(key, count);
+    return count;
+  }
+
+  postBudgetNotice(conversationId, exhausted, budget, run) {
+    const seconds = Math.round(this.getRunElapsedMs(run) / 1000);
+    const summary = `${run.turns} turn(s), ${run.toolCalls} tool call(s), ${seconds}s${run.tokens ? `, ${run.tokens.toLocaleString()} tokens` : ''}`;
+    const text = exhausted.reason === 'loop'
+      ? `⏸ Paused: the model kept repeating the same tool calls (${summary}). Rephrase the request, or continue if you expect a different outcome.`
+      : `⏸ Paused: the ${exhausted.label} budget for this run is used up (${exhausted.detail}; ${summary}). Raise the limit under **Run limits** or continue below.`;
+    this.addMessage('system', text, conversationId, {
+      uiOnly: true,
+      budgetNotice: { reason: exhausted.reason, continueTurns: Math.max(1, Math.min(budget.maxTurns || 3, 10)) }
+    });
+  }
+
+  renderBudgetNotice(message) {
+    return `
+      <div class="budget-continue">
+        <label>Continue for <input type="number" class="budget-turns" min="1" max="50" value="${message.budgetNotice.continueTurns}" /> more turns</label>
+        <button class="chart-action" data-msg-action="continue-run"><i class="fas fa-play"></i> Continue</button>
+      </div>`;
+  }
+
+  openRunBudget() {
+    const conv = this.state.conversations.get(this.state.currentConversationId);
+    if (!conv) return;
+    const adv = this.state.settings.advanced;
+    const own = conv.budget || {};
+    [['conv-max-turns', 'maxTurns'], ['conv-max-tool-calls', 'maxToolCalls'], ['conv-max-run-seconds', 'maxRunSeconds'], ['conv-max-run-tokens', 'maxRunTokens']]
+      .forEach(([id, key]) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.value = Number.isFinite(own[key]) ? own[key] : '';
+        el.placeholder = `Default: ${adv[key] || 'unlimited'}`;
+      });
+    document.getElementById('budget-modal')?.classList.add('active');
+  }
+
+  saveRunBudget() {
+    const conv = this.state.conversations.get(this.state.currentConversationId);
+    if (!conv) return;
+    const budget = {};
+    [['conv-max-turns', 'maxTurns'], ['conv-max-tool-calls', 'maxToolCalls'], ['conv-max-run-seconds', 'maxRunSeconds'], ['conv-max-run-tokens', 'maxRunTokens']]
+      .forEach(([id, key]) => {
+        const value = parseInt(document.getElementById(id)?.value, 10);
+        if (Number.isFinite(value) && value >= 0) budget[key] = value;
+      });
+    if (Object.keys(budget).length) conv.budget = budget; else delete conv.budget;
+    this.saveCurrentConversation();
+    document.getElementById('budget-modal')?.classList.remove('active');
+    this.showToast('success', 'Run Limits Saved', Object.keys(budget).length ? 'This conversation now uses its own limits.' : 'This conversation uses the default limits.');
+  }
+
+  // =========================
+  // ======== LLM I/O ========
+  // =========================
+  /**
+   * Converts stored conversation messages into OpenAI-style chat messages.
+   * UI-only notices are skipped, assistant tool_calls are replayed as-is and
+   * tool results are only kept when they answer a call from the preceding turn.
+   * User messages with images become multimodal content (text + `image_url` parts).
+   * `messages` defaults to the whole history; a pinned `summary` is sent as a
+   * system note ahead of it.
+   */
+  buildApiMessages(conversation, messages = conversation.messages, summary = null) {
+    const out = [];
+    const filesNote = this.describeFilesForModel(conversation);
+    if (filesNote) out.push({ role: 'system', content: filesNote });
+    if (summary) out.push({ role: 'system', content: `Summary of the earlier conversation:\n${summary.content}` });
+    let pendingCallIds = new Set();
+    (messages || []).forEach(m => {
+      if (!m || m.uiOnly || m.summary) return;
+      const content = typeof m.content === 'string' ? m.content : JSON.stringify(m.content);
+
+      if (m.role === 'tool') {
+        if (!m.tool_call_id || !pendingCallIds.has(m.tool_call_id)) return;
+        pendingCallIds.delete(m.tool_call_id);
+        out.push({ role: 'tool', tool_call_id: m.tool_call_id, name: m.name, content: content || '' });
+        return;
+      }
+
+      pendingCallIds = new Set();
+      if (m.role === 'assistant' && Array.isArray(m.tool_calls) && m.tool_calls.length) {
+        out.push({ role: 'assistant', content: content || null, tool_calls: m.tool_calls });
+        m.tool_calls.forEach(tc => pendingCallIds.add(tc.id));
+        return;
+      }
+      if (m.role === 'user' && m.images?.length) {
+        const parts = content ? [{ type: 'text', text: content }] : [];
+        m.images.forEach(img => parts.push({ type: 'image_url', image_url: { url: img.dataUrl } }));
+        out.push({ role: 'user', content: parts });
+        return;
+      }
+      if (content) out.push({ role: m.role, content });
+    });
+    return out;
+  }
+
+  /**
+   * Sends the conversation through the selected provider adapter and returns a
+   * normalized `{ content, tool_calls, usage }` response. Older turns are
+   * trimmed or summarized first when the history would overflow the model's context.
+   * With `settings.llm.stream` on, `onDelta` gets the partial message as it grows.
+   */
+  async callLLM(conversation, { onDelta, signal, model } = {}) {
+    const messagesForApi = this.withPersonaPrompt(conversation, await this.prepareContext(conversation, { signal, model }));
+    return this.sendCompletion(messagesForApi, {
+      tools: this.getConversationTools(conversation),
+      onDelta,
+      signal,
+      ...this.getPersonaOverrides(conversation),
+      ...(model ? { model } : {})
+    });
+  }
+
+  /**
+   * One chat completion against the configured provider, with retries for
+   * transient failures. `stream` defaults to `settings.llm.stream`; `model` and
+   * `temperature` override the API settings (personas use this). Usage is
+   * priced and recorded here (estimated when the provider omits it), so the
+   * response also carries `model` and `cost`; a reached spend cap blocks the call.
+   */
+  async sendCompletion(messages, { tools = [], onDelta, signal, stream, model: modelOverride, temperature: temperatureOverride } = {}) {
+    const { provider, apiKey, maxTokens, baseUrl } = this.state.settings.llm || {};
+    const model = modelOverride || this.state.settings.llm.model;
+    const temperature = temperatureOverride ?? this.state.settings.llm.temperature;
+    if (!provider) throw new Error('No LLM provider configured.');
+    const adapter = this.getProvider(provider);
+    if (!adapter) throw new Error(`Unknown LLM provider: ${provider}`);
+
+    // Demo fallback
+    if (adapter.requiresKey && !apiKey) {
+      return { content: `💡 Demo response: add your ${adapter.label} key in Settings to query real models.`, tool_calls: [], demo: true };
+    }
+    this.checkSpendCap(adapter, model || adapter.defaultModel);
+    messages = this.stripImagesForModel(messages, model || adapter.defaultModel);
+
+    const request = adapter.buildRequest({
+      messages,
+      tools,
+      model: model || adapter.defaultModel,
+      maxTokens,
+      temperature,
+      stream: stream ?? !!this.state.settings.llm.stream,
+      apiKey,
+      baseUrl: this.resolveBaseUrl(adapter, baseUrl)
+    });
+
+    // Once tokens reached the UI a retry would duplicate them, so only retry before that
+    let streamed = false;
+    const onPartial = onDelta ? (partial) => { streamed = true; onDelta(partial); } : null;
+    const errorContext = { adapter, model: model || adapter.defaultModel };
+
+    const send = async (url) => {
+      let resp;
+      try {
+        resp = await fetch(url, { method: 'POST', headers: request.headers, body: JSON.stringify(request.body), signal });
+      } catch (err) {
+        if (this.isAbortError(err)) throw err;
+        throw this.createLLMError({ ...errorContext, kind: 'network', url, detail: err.message });
+      }
+      if (!resp.ok) {
+        let detail = resp.statusText || '';
+        try {
+          const errJson = await resp.json();
+          detail = errJson.error?.message || errJson.message || (Object.keys(errJson).length ? JSON.stringify(errJson) : detail);
+        } catch (_) {}
+        throw this.createLLMError({
+          ...errorContext,
+          kind: this.classifyLLMFailure(resp.status),
+          status: resp.status,
+          url,
+          detail,
+          retryAfterMs: this.parseRetryAfter(resp.headers)
+        });
+      }
+      try {
+        return await this.readCompletion(resp, adapter, onPartial);
+      } catch (err) {
+        if (this.isAbortError(err) || err.kind) throw err;
+        // Errors the adapters recognised in the body keep their class; anything else is a cut-off stream
+        if (err.responseKind) throw this.createLLMError({ ...errorContext, kind: err.responseKind, status: err.status, url, detail: err.message });
+        throw this.createLLMError({ ...errorContext, kind: 'network', url, detail: `the response was cut off (${err.message})` });
+      }
+    };
+
+    // Transient failures (429, 5xx, network) back off and retry; auth and bad-request errors fail fast.
+    // Server and network failures move over to the adapter's alternate endpoint, if it has one.
+    let url = request.url;
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await send(url);
+      } catch (err) {
+        if (this.isAbortError(err) || signal?.aborted) throw this.createAbortError();
+        if (streamed || !this.isRetryableLLMError(err) || attempt >= this.retryPolicy.maxRetries) throw err;
+        if (err.retryAfterMs != null && err.retryAfterMs > this.retryPolicy.maxRetryAfterMs) {
+          err.message += ` The provider asked to wait ${Math.ceil(err.retryAfterMs / 1000)}s before retrying.`;
+          throw err;
+        }
+        if (request.fallbackUrl && err.kind !== 'rate_limit') url = request.fallbackUrl;
+        const delay = this.getRetryDelay(attempt, err);
+        await this.waitForRetry(delay, { err, attempt: attempt + 1, signal });
+        continue;
+      }
+
+      // Providers that omit usage still count against budgets and spend, by estimate
+      if (!response.usage) {
+        // Image data URLs are not text; count each image at a typical ~1000 tokens instead
+        let images = 0;
+        const text = JSON.stringify(messages, (key, value) => (key === 'image_url' ? (images++, undefined) : value));
+        const prompt = this.estimateTokens(text) + images * 1000 + this.estimateTokens(JSON.stringify(tools));
+        const completion = this.estimateTokens(response.content) + this.estimateTokens(JSON.stringify(response.tool_calls));
+        response.usage = { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion, estimated: true };
+      }
+      response.model = request.body.model || model || adapter.defaultModel;
+      response.cost = this.recordUsage(response.model, response.usage);
+      return response;
+    }
+  }
+
+  /**
+   * Maps a failed call onto one of the error classes the UI knows how to explain:
+   * auth | rate_limit | bad_request | server | network.
+   */
+  classifyLLMFailure(status) {
+    if (!status) return 'network';
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 429) return 'rate_limit';
+    if (status === 408 || status >= 500) return 'server';
+    return 'bad_request';
+  }
+
+  /**
+   * Error for an `{ error }` payload delivered with a 200 response or inside a
+   * stream, tagged (`responseKind`) with the failure class its code or type maps to.
+   */
+  responseError(error) {
+    const status = Number(error?.code) || Number(error?.status) || 0;
+    const type = String(error?.type || error?.status || error?.code || '').toLowerCase();
+    let kind = status ? this.classifyLLMFailure(status) : 'bad_request';
+    if (!status) {
+      if (/overloaded|server|internal|unavailable|api_error/.test(type)) kind = 'server';
+      else if (/rate|quota|exhausted/.test(type)) kind = 'rate_limit';
+      else if (/auth|permission|unauthenticated/.test(type)) kind = 'auth';
+    }
+    const message = typeof error === 'string' ? error : error?.message || JSON.stringify(error);
+    return Object.assign(new Error(message), { responseKind: kind, status });
+  }
+
+  isRetryableLLMError(err) { return ['rate_limit', 'server', 'network'].includes(err?.kind); }
+
+  /** Builds an Error carrying `kind`, `status`, `title` and `retryAfterMs`, with an actionable message per class. */
+  createLLMError({ kind, status = 0, detail = '', adapter, model, url, retryAfterMs = null }) {
+    const label = adapter?.label || 'The provider';
+    const code = status ? ` (${status})` : '';
+    const why = detail ? `: ${String(detail).slice(0, 300).replace(/[.\s]+$/, '')}.` : '.';
+    const messages = {
+      auth: [
+        'Authentication Failed',
+        `${label} rejected the API key${code}${why} Check the key in **Settings → API** and make sure it belongs to ${label}${model ? ` and can use **${model}**` : ''}.`
+      ],
+      rate_limit: [
+        'Rate Limited',
+        `${label} is rate limiting requests${code}${why} Wait a minute before retrying, or check your plan's quota and usage limits.`
+      ],
+      bad_request: [
+        'Request Rejected',
+        `${label} rejected the request${code}${why} Check that **${model || 'the model'}** exists for this provider (pick a listed model in Settings), or lower Max tokens.`
+      ],
+      server: [
+        'Provider Error',
+        `${label} had a server problem${code}${why} This is usually temporary: try again shortly or switch to another model or provider.`
+      ],
+      spend_cap: [
+        'Spend Cap Reached',
+        `No request was sent: ${detail}. Raise or clear the cap in **Settings → Usage** to continue.`
+      ],
+      network: [
+        'Network Error',
+        `Could not reach ${label}${url ? ` at ${this.hostnameOf(url) || url}` : ''}${why} Check your connection and the Base URL; local servers must allow CORS from this page.`
+      ]
+    };
+    const [title, message] = messages[kind] || messages.server;
+    const err = new Error(message);
+    Object.assign(err, { kind, status, title, retryAfterMs });
+    return err;
+  }
+
+  /** `Retry-After` (seconds or HTTP date) or OpenAI's `retry-after-ms`, in milliseconds. */
+  parseRetryAfter(headers) {
+    const ms = parseFloat(headers?.get('retry-after-ms'));
+    if (Number.isFinite(ms) && ms >= 0) return ms;
+    const value = headers?.get('retry-after');
+    if (!value) return null;
+    const seconds = parseFloat(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+  }
+
+  /** Exponential backoff with full jitter, unless the server told us how long to wait. */
+  getRetryDelay(attempt, err) {
+    if (err.retryAfterMs != null) return err.retryAfterMs;
+    const { baseDelayMs, maxDelayMs } = this.retryPolicy;
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /** Waits out a retry delay while the typing indicator counts down; rejects if the run is stopped. */
+  async waitForRetry(delayMs, { err, attempt, signal }) {
+    const textEl = this.elements.typingIndicator?.querySelector('.typing-text');
+    const original = textEl?.textContent;
+    const reason = { rate_limit: 'Rate limited', server: 'Provider error', network: 'Connection failed' }[err.kind] || 'Request failed';
+    const until = Date.now() + delayMs;
+    const tick = () => {
+      const left = Math.max(0, Math.ceil((until - Date.now()) / 1000));
+      if (textEl) textEl.textContent = `${reason} — retrying in ${left}s (attempt ${attempt + 1} of ${this.retryPolicy.maxRetries + 1})…`;
+    };
+    this.showTypingIndicator();
+    this.elements.typingIndicator?.classList.add('retrying');
+    tick();
+    const timer = setInterval(tick, 250);
+    try {
+      await this.abortable(new Promise(resolve => setTimeout(resolve, delayMs)), signal);
+    } finally {
+      clearInterval(timer);
+      this.elements.typingIndicator?.classList.remove('retrying');
+      if (textEl && original != null) textEl.textContent = original;
+    }
+  }
+
+  /** Reads a completion body, whether the server answered with SSE or plain JSON. */
+  async readCompletion(resp, adapter, onDelta) {
+    const contentType = resp.headers.get('content-type') || '';
+    if (!contentType.includes('text/event-stream') || !resp.body) {
+      let data;
+      try { data = await resp.json(); }
+      catch (e) {
+        if (e.name !== 'SyntaxError') throw e;
+        throw Object.assign(new Error(`the response was not valid JSON (${e.message})`), { responseKind: 'bad_request' });
+      }
+      return this.parseAPIResponse(data, adapter.id);
+    }
+
+    const acc = { content: '', tool_calls: [], usage: null };
+    await this.readEventStream(resp, (evt) => {
+      if (adapter.parseStreamEvent(evt, acc) === false) return;
+      if (onDelta) onDelta(acc);
+    });
+    return this.normalizeResponse(acc);
+  }
+
+  /**
+   * Folds one OpenAI-style stream delta into the accumulated message.
+   * Tool calls arrive in fragments keyed by `index`: the id and name come once,
+   * the JSON arguments are spread over many chunks.
+   */
+  applyChatDelta(message, delta) {
+    if (typeof delta.content === 'string') message.content += delta.content;
+    (delta.tool_calls || []).forEach((tc, i) => {
+      const index = typeof tc.index === 'number' ? tc.index : i;
+      const slot = message.tool_calls[index] ||
+        (message.tool_calls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (tc.id) slot.id = tc.id;
+      if (tc.function?.name) slot.function.name += tc.function.name;
+      if (tc.function?.arguments) slot.function.arguments += tc.function.arguments;
+    });
+  }
+
+  /** Minimal server-sent events reader: calls onEvent({ event, data }) per dispatched event. */
+  async readEventStream(resp, onEvent) {
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let event = { event: 'message', data: [] };
+
+    const dispatch = () => {
+      if (event.data.length) onEvent({ event: event.event, data: event.data.join('\n') });
+      event = { event: 'message', data: [] };
+    };
+    const handleLine = (line) => {
+      if (line === '') return dispatch();
+      if (line.startsWith(':')) return;
+      const idx = line.indexOf(':');
+      const field = idx === -1 ? line : line.slice(0, idx);
+      const value = idx === -1 ? '' : line.slice(idx + 1).replace(/^ /, '');
+      if (field === 'data') event.data.push(value);
+      else if (field === 'event') event.event = value;
+    };
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        // A trailing CR may be the first half of a CRLF split across chunks
+        const heldCR = buffer.endsWith('\r');
+        const lines = (heldCR ? buffer.slice(0, -1) : buffer).split(/\r\n|\r|\n/);
+        buffer = lines.pop() + (heldCR ? '\r' : '');
+        lines.forEach(handleLine);
+      }
+      buffer += decoder.decode();
+      buffer.split(/\r\n|\r|\n/).forEach(line => { if (line) handleLine(line); });
+      dispatch();
+    } finally {
+      try { reader.releaseLock(); } catch (_) {}
+    }
+  }
+
+  parseAPIResponse(data, provider) {
+    try {
+      const adapter = this.getProvider(provider) || this.getProvider('openai');
+      return this.normalizeResponse(adapter.parseResponse(data));
+    } catch (e) {
+      if (e.responseKind) throw e;
+      console.error('Error parsing API response:', e, data);
+      throw Object.assign(new Error('Could not parse the API response.'), { responseKind: 'bad_request' });
+    }
+  }
+
+  /** Drops half-assembled tool calls and guarantees ids and string arguments. */
+  normalizeResponse({ content, tool_calls, usage } = {}) {
+    const toolCalls = (tool_calls || []).filter(tc => tc?.function?.name).map(tc => ({
+      id: tc.id || this.generateId('call'),
+      type: 'function',
+      function: {
+        name: tc.function.name,
+        arguments: typeof tc.function.arguments === 'string'
+          ? (tc.function.arguments || '{}')
+          : JSON.stringify(tc.function.arguments || {})
+      }
+    }));
+    return { content: content || '', tool_calls: toolCalls, usage: usage || null };
+  }
+
+  // =========================
+  // ======= PROVIDERS =======
+  // =========================
+  /**
+   * Provider adapters. Each one owns request building, response and stream
+   * parsing (into the OpenAI-style shape the agent loop uses) and model listing.
+   */
+  initializeProviders() {
+    const trim = (url) => (url || '').replace(/\/+$/, '');
+
+    // Shared by AI Pipe, OpenAI and local servers (Ollama, llama.cpp, LM Studio…)
+    const openAICompatible = ({ id, label, defaultBaseUrl, defaultModel, fallbackModels, requiresKey = true, chatUrl, fallbackUrl, listModels }) => ({
+      id, label, defaultBaseUrl, defaultModel, fallbackModels, requiresKey,
+      buildRequest: ({ messages, tools, model, maxTokens, temperature, stream, apiKey, baseUrl }) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+        const body = { model, messages, max_tokens: maxTokens, temperature };
+        if (tools.length) {
+          body.tools = tools;
+          body.tool_choice = 'auto';
+        }
+        if (stream) {
+          body.stream = true;
+          body.stream_options = { include_usage: true }; // final chunk carries token usage
+        }
+        return { url: chatUrl(trim(baseUrl)), fallbackUrl: fallbackUrl ? fallbackUrl(trim(baseUrl)) : null, headers, body };
+      },
+      parseResponse: (data) => {
+        if (data?.error) throw this.responseError(data.error);
+        const choice = data?.choices?.[0] || {};
+        const msg = choice.message || {};
+        return { content: msg.content || choice.text || '', tool_calls: msg.tool_calls || [], usage: data?.usage };
+      },
+      parseStreamEvent: ({ data }, acc) => {
+        if (!data || data === '[DONE]') return false;
+        let chunk;
+        try { chunk = JSON.parse(data); } catch (_) { return false; }
+        if (chunk.error) throw this.responseError(chunk.error);
+        if (chunk.usage) acc.usage = chunk.usage;
+        const choice = chunk.choices?.[0];
+        if (!choice) return false;
+        this.applyChatDelta(acc, choice.delta || {});
+      },
+      listModels
+    });
+
+    const listOpenAIStyleModels = async (url, headers, filter = () => true) => {
+      const resp = await fetch(url, { headers });
+      if (!resp.ok) throw new Error(`Model list failed (${resp.status})`);
+      const data = await resp.json();
+      return (data?.data || []).map(m => m.id).filter(Boolean).filter(filter).sort();
+    };
+
+    const aipipe = openAICompatible({
+      id: 'aipipe',
+      label: 'AI Pipe',
+      defaultBaseUrl: 'https://aipipe.org',
+      defaultModel: 'openai/gpt-4o-mini',
+      // Primary: OpenRouter-compatible endpoint; fallback: OpenAI-compatible endpoint
+      chatUrl: base => `${base}/openrouter/v1/chat/completions`,
+      fallbackUrl: base => `${base}/openai/v1/chat/completions`,
+      listModels: ({ apiKey, baseUrl }) => this.fetchAIpipeModels(apiKey, baseUrl)
+    });
+
+    const openai = openAICompatible({
+      id: 'openai',
+      label: 'OpenAI',
+      defaultBaseUrl: 'https://api.openai.com/v1',
+      defaultModel: 'gpt-4o-mini',
+      fallbackModels: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1', 'gpt-4.1-mini'],
+      chatUrl: base => `${base}/chat/completions`,
+      listModels: async ({ apiKey, baseUrl }) => {
+        if (!apiKey) throw new Error('OpenAI API key required');
+        return listOpenAIStyleModels(`${trim(baseUrl)}/models`, { Authorization: `Bearer ${apiKey}` },
+          id => /^(gpt-|o\d|chatgpt)/.test(id));
+      }
+    });
+
+    const local = openAICompatible({
+      id: 'local',
+      label: 'Local model',
+      defaultBaseUrl: 'http://localhost:11434/v1',
+      defaultModel: 'llama3.1',
+      requiresKey: false,
+      chatUrl: base => `${base}/chat/completions`,
+      listModels: async ({ apiKey, baseUrl }) => {
+        const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+        try {
+          return await listOpenAIStyleModels(`${trim(baseUrl)}/models`, headers);
+        } catch (err) {
+          // Older Ollama builds only expose the native tag list
+          const resp = await fetch(`${trim(baseUrl).replace(/\/v1$/, '')}/api/tags`).catch(() => null);
+          if (!resp?.ok) throw err;
+          const data = await resp.json();
+          return (data?.models || []).map(m => m.name).filter(Boolean);
+        }
+      }
+    });
+
+    const anthropicHeaders = (apiKey) => ({
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    });
+
+    const anthropic = {
+      id: 'anthropic',
+      label: 'Anthropic',
+      defaultBaseUrl: 'https://api.anthropic.com/v1',
+      defaultModel: 'claude-3-5-sonnet-latest',
+      fallbackModels: ['claude-3-5-sonnet-latest', 'claude-3-5-haiku-latest', 'claude-3-opus-latest'],
+      requiresKey: true,
+      buildRequest: ({ messages, tools, model, maxTokens, temperature, stream, apiKey, baseUrl }) => {
+        const { system, messages: converted } = this.toAnthropicMessages(messages);
+        // Anthropic caps temperature at 1
+        const body = { model, messages: converted, max_tokens: maxTokens || 1024, temperature: Math.min(temperature ?? 1, 1) };
+        if (system) body.system = system;
+        if (tools.length) {
+          body.tools = tools.map(t => ({
+            name: t.function.name,
+            description: t.function.description,
+            input_schema: t.function.parameters || { type: 'object', properties: {} }
+          }));
+          body.tool_choice = { type: 'auto' };
+        }
+        if (stream) body.stream = true;
+        return { url: `${trim(baseUrl)}/messages`, headers: anthropicHeaders(apiKey), body };
+      },
+      parseResponse: (data) => {
+        if (data?.type === 'error' || data?.error) throw this.responseError(data.error || 'Anthropic error');
+        const blocks = Array.isArray(data?.content) ? data.content : [];
+        return {
+          content: blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+          tool_calls: blocks.filter(b => b.type === 'tool_use').map(b => ({
+            id: b.id, type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input || {}) }
+          })),
+          usage: this.anthropicUsage(data?.usage)
+        };
+      },
+      parseStreamEvent: ({ data }, acc) => {
+        let evt;
+        try { evt = JSON.parse(data); } catch (_) { return false; }
+        switch (evt.type) {
+          case 'message_start':
+            acc.usage = this.anthropicUsage(evt.message?.usage);
+            return false;
+          case 'content_block_start':
+            if (evt.content_block?.type === 'tool_use') {
+              acc.tool_calls[evt.index] = { id: evt.content_block.id, type: 'function', function: { name: evt.content_block.name, arguments: '' } };
+            }
+            return false;
+          case 'content_block_delta':
+            if (evt.delta?.type === 'text_delta') acc.content += evt.delta.text || '';
+            else if (evt.delta?.type === 'input_json_delta' && acc.tool_calls[evt.index]) {
+              acc.tool_calls[evt.index].function.arguments += evt.delta.partial_json || '';
+            }
+            return;
+          case 'message_delta':
+            if (evt.usage) acc.usage = this.anthropicUsage({ ...(acc.usage ? { input_tokens: acc.usage.prompt_tokens } : {}), ...evt.usage });
+            return false;
+          case 'error':
+            throw this.responseError(evt.error || 'Anthropic stream error');
+          default:
+            return false;
+        }
+      },
+      listModels: async ({ apiKey, baseUrl }) => {
+        if (!apiKey) throw new Error('Anthropic API key required');
+        return listOpenAIStyleModels(`${trim(baseUrl)}/models`, anthropicHeaders(apiKey));
+      }
+    };
+
+    const google = {
+      id: 'google',
+      label: 'Google Gemini',
+      defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+      defaultModel: 'gemini-1.5-flash',
+      fallbackModels: ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-2.0-flash'],
+      requiresKey: true,
+      buildRequest: ({ messages, tools, model, maxTokens, temperature, stream, apiKey, baseUrl }) => {
+        const { systemInstruction, contents } = this.toGeminiContents(messages);
+        const body = { contents, generationConfig: { maxOutputTokens: maxTokens, temperature } };
+        if (systemInstruction) body.systemInstruction = systemInstruction;
+        if (tools.length) {
+          body.tools = [{
+            functionDeclarations: tools.map(t => ({
+              name: t.function.name,
+              description: t.function.description,
+              parameters: this.toGeminiSchema(t.function.parameters)
+            }))
+          }];
+        }
+        const modelPath = `models/${encodeURIComponent(String(model).replace(/^models\//, ''))}`;
+        const url = stream
+          ? `${trim(baseUrl)}/${modelPath}:streamGenerateContent?alt=sse`
+          : `${trim(baseUrl)}/${modelPath}:generateContent`;
+        return { url, headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey }, body };
+      },
+      // Responses look like {candidates:[{content:{parts:[{text:"..."},{functionCall:{...}}]}}]}
+      parseResponse: (data) => {
+        if (data?.error) throw this.responseError(data.error);
+        const acc = { content: '', tool_calls: [], usage: null };
+        this.applyGeminiChunk(acc, data);
+        return acc;
+      },
+      parseStreamEvent: ({ data }, acc) => {
+        let chunk;
+        try { chunk = JSON.parse(data); } catch (_) { return false; }
+        if (chunk.error) throw this.responseError(chunk.error);
+        this.applyGeminiChunk(acc, chunk);
+      },
+      listModels: async ({ apiKey, baseUrl }) => {
+        if (!apiKey) throw new Error('Gemini API key required');
+        const resp = await fetch(`${trim(baseUrl)}/models?pageSize=200`, { headers: { 'x-goog-api-key': apiKey } });
+        if (!resp.ok) throw new Error(`Model list failed (${resp.status})`);
+        const data = await resp.json();
+        return (data?.models || [])
+          .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+          .map(m => String(m.name || '').replace(/^models\//, ''))
+          .filter(Boolean);
+      }
+    };
+
+    return { aipipe, openai, anthropic, google, local };
+  }
+
+  getProvider(id) { return this.providers[id] || null; }
+
+  resolveBaseUrl(adapter, baseUrl) { return (baseUrl || '').trim() || adapter.defaultBaseUrl; }
+
+  anthropicUsage(usage) {
+    if (!usage) return null;
+    const prompt = usage.input_tokens || 0;
+    const completion = usage.output_tokens || 0;
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+  }
+
+  /** OpenAI-style messages → Anthropic `system` string + alternating content-block messages. */
+  toAnthropicMessages(messages) {
+    const system = [];
+    const out = [];
+    const push = (role, block) => {
+      const last = out[out.length - 1];
+      if (last && last.role === role) last.content.push(block);
+      else out.push({ role, content: [block] });
+    };
+    messages.forEach(m => {
+      if (m.role === 'system') { if (m.content) system.push(m.content); return; }
+      if (m.role === 'tool') {
+        push('user', { type: 'tool_result', tool_use_id: m.tool_call_id, content: m.content || '' });
+        return;
+      }
+      const role = m.role === 'assistant' ? 'assistant' : 'user';
+      if (Array.isArray(m.content)) {
+        m.content.forEach(part => {
+          const image = part.type === 'image_url' && this.parseDataUrl(part.image_url?.url);
+          if (image) push(role, { type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data } });
+          else if (part.type === 'text' && part.text) push(role, { type: 'text', text: part.text });
+        });
+      } else if (m.content) push(role, { type: 'text', text: m.content });
+      (m.tool_calls || []).forEach(tc => push('assistant', {
+        type: 'tool_use', id: tc.id, name: tc.function.name, input: this.safeJsonParse(tc.function.arguments, {})
+      }));
+    });
+    // The conversation has to open with a user turn
+    while (out.length && out[0].role !== 'user') out.shift();
+    return { system: system.join('\n\n'), messages: out };
+  }
+
+  /** OpenAI-style messages → Gemini `contents` (user/model turns) + `systemInstruction`. */
+  toGeminiContents(messages) {
+    const system = [];
+    const contents = [];
+    const push = (role, part) => {
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) last.parts.push(part);
+      else contents.push({ role, parts: [part] });
+    };
+    messages.forEach(m => {
+      if (m.role === 'system') { if (m.content) system.push(m.content); return; }
+      if (m.role === 'tool') {
+        const parsed = this.safeJsonParse(m.content, null);
+        const response = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : { result: parsed ?? m.content };
+        push('user', { functionResponse: { name: m.name, response } });
+        return;
+      }
+      const role = m.role === 'assistant' ? 'model' : 'user';
+      if (Array.isArray(m.content)) {
+        m.content.forEach(part => {
+          const image = part.type === 'image_url' && this.parseDataUrl(part.image_url?.url);
+          if (image) push(role, { inlineData: image });
+          else if (part.type === 'text' && part.text) push(role, { text: part.text });
+        });
+      } else if (m.content) push(role, { text: m.content });
+      (m.tool_calls || []).forEach(tc => push('model', {
+        functionCall: { name: tc.function.name, args: this.safeJsonParse(tc.function.arguments, {}) }
+      }));
+    });
+    while (contents.length && contents[0].role !== 'user') contents.shift();
+    return {
+      systemInstruction: system.length ? { parts: [{ text: system.join('\n\n') }] } : null,
+      contents
+    };
+  }
+
+  /** Gemini accepts only an OpenAPI subset of JSON schema (no `default`, etc.). */
+  toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const out = {};
+    ['type', 'description', 'enum', 'format', 'nullable', 'required'].forEach(k => {
+      if (schema[k] !== undefined) out[k] = schema[k];
+    });
+    if (schema.properties) {
+      out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, this.toGeminiSchema(v)]));
+    }
+    if (schema.items) out.items = this.toGeminiSchema(schema.items);
+    return out;
+  }
+
+  /** Gemini stream chunks are whole partial responses: append text, collect function calls. */
+  applyGeminiChunk(acc, data) {
+    const parts = data?.candidates?.[0]?.content?.parts || [];
+    parts.forEach(p => {
+      if (typeof p.text === 'string') acc.content += p.text;
+      if (p.functionCall) {
+        acc.tool_calls.push({
+          id: this.generateId('call'),
+          type: 'function',
+          function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) }
+        });
+      }
+    });
+    const u = data?.usageMetadata;
+    if (u) acc.usage = { prompt_tokens: u.promptTokenCount || 0, completion_tokens: u.candidatesTokenCount || 0, total_tokens: u.totalTokenCount || 0 };
+  }
+
+  // =========================
+  // ===== TOOL REGISTRY =====
+  // =========================
+  /**
+   * Adds a tool the model can call. `schema` is an OpenAI function schema, either
+   * `{ type: 'function', function: {...} }` or just the inner `{ name, description, parameters }`.
+   * `handler(args, { signal, conversationId, attachments })` may be async; its
+   * return value is JSON-encoded as the tool result. Options:
+   *   - `enabled` (default true): initial state until the user toggles it in Settings → Tools
+   *   - `replace` (default false): allow overwriting a tool with the same name
+   *   - `source`: label shown in the Tools tab (defaults to "plugin")
+   *   - `approval` (default 'auto'): 'auto', 'ask' or 'deny' until the user picks a policy in Settings → Tools
+   * Returns a function that unregisters the tool.
+   */
+  registerTool({ schema, handler, options = {} } = {}) {
+    const fn = schema?.type === 'function' ? schema.function : schema;
+    const name = fn?.name;
+    if (!name || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) throw new Error('registerTool: schema needs a name of letters, digits, "_" or "-"');
+    if (typeof handler !== 'function') throw new Error(`registerTool: handler for "${name}" must be a function`);
+    if (this.toolRegistry.has(name) && !options.replace) throw new Error(`registerTool: "${name}" is already registered (pass options.replace to override)`);
+
+    this.toolRegistry.set(name, {
+      name,
+      schema: {
+        type: 'function',
+        function: { description: '', ...fn, parameters: fn.parameters || { type: 'object', properties: {} } }
+      },
+      handler,
+      options: { enabled: true, source: 'plugin', ...options }
+    });
+    this.emit('tools:changed', { name, action: 'register' });
+    this.renderToolSettings();
+    return () => this.unregisterTool(name);
+  }
+
+  unregisterTool(name) {
+    const removed = this.toolRegistry.delete(name);
+    if (removed) {
+      this.emit('tools:changed', { name, action: 'unregister' });
+      this.renderToolSettings();
+    }
+    return removed;
+  }
+
+  isToolEnabled(name) {
+    const tool = this.toolRegistry.get(name);
+    if (!tool) return false;
+    const prefs = this.state.settings.tools?.enabled || {};
+    return name in prefs ? !!prefs[name] : tool.options.enabled !== false;
+  }
+
+  /** Schemas of the enabled tools, in registration order, as sent to the provider. */
+  getActiveTools() {
+    return [...this.toolRegistry.values()].filter(t => this.isToolEnabled(t.name)).map(t => t.schema);
+  }
+
+  /**
+   * Checks `value` against the JSON-schema subset tool schemas use: type (incl.
+   * unions and integer), enum, required, properties, additionalProperties: false,
+   * items, min/max, minLength/maxLength, pattern, minItems/maxItems.
+   * Returns a list of human-readable problems (empty when valid).
+   */
+  validateAgainstSchema(value, schema, path = 'arguments') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+    const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+    const matchesType = (t) => (t === 'integer' ? Number.isInteger(value) : t === 'number' ? typeof value === 'number' && Number.isFinite(value) : typeOf(value) === t);
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(matchesType)) return [`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(opt => JSON.stringify(opt) === JSON.stringify(value))) {
+      errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum != null && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+      if (schema.maximum != null && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+      if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path} should have at least ${schema.minLength} characters`);
+      if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path} should have at most ${schema.maxLength} characters`);
+      if (schema.pattern) {
+        try { if (!new RegExp(schema.pattern).test(value)) errors.push(`${path} should match /${schema.pattern}/`); } catch (_) {}
+      }
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+      if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+      if (schema.items) value.forEach((item, i) => errors.push(...this.validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+    }
+    if (typeOf(value) === 'object') {
+      const props = schema.properties || {};
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+      });
+      Object.entries(value).forEach(([key, v]) => {
+        if (props[key]) errors.push(...this.validateAgainstSchema(v, props[key], `${path}.${key}`));
+        else if (schema.additionalProperties === false) errors.push(`${path}.${key} is not allowed`);
+        else if (typeof schema.additionalProperties === 'object') errors.push(...this.validateAgainstSchema(v, schema.additionalProperties, `${path}.${key}`));
+      });
+    }
+    return errors;
+  }
+
+  /** Fills the Settings → Tools list from the registry; toggles are read back on save. */
+  renderToolSettings() {
+    const list = document.getElementById('tools-list');
+    if (!list) return;
+    const tools = [...this.toolRegistry.values()];
+    list.innerHTML = tools.length ? tools.map(t => {
+      const fn = t.schema.function;
+      const policy = this.getToolPolicy(t.name);
+      return `
+        <div class="tool-setting">
+          <label class="checkbox-label">
+            <input type="checkbox" data-tool-name="${this.escapeHtml(t.name)}" ${this.isToolEnabled(t.name) ? 'checked' : ''} />
+            <span class="tool-setting-info">
+              <span class="tool-setting-name">${this.escapeHtml(t.name)} <small class="tool-setting-source">${this.escapeHtml(t.options.source)}</small></span>
+              <small class="tool-setting-desc">${this.escapeHtml(fn.description || '')}</small>
+            </span>
+          </label>
+          <select class="form-control tool-policy" data-tool-policy="${this.escapeHtml(t.name)}" aria-label="Approval policy for ${this.escapeHtml(t.name)}">
+            <option value="auto" ${policy === 'auto' ? 'selected' : ''}>Run automatically</option>
+            <option value="ask" ${policy === 'ask' ? 'selected' : ''}>Ask first</option>
+            <option value="deny" ${policy === 'deny' ? 'selected' : ''}>Never run</option>
+          </select>
+        </div>`;
+    }).join('') : '<p class="form-hint">No tools registered.</p>';
+  }
+
+  /**
+   * Runs one tool call through the registry. Arguments are validated against the
+   * tool's JSON schema first; problems go back to the model as the tool result so
+   * it can retry. The tool's approval policy then applies (getToolPolicy), and a
+   * denial or rejection is likewise returned as the result. Handlers get `(args, { signal, conversationId, attachments })`
+   * and may push rich output (charts) onto `attachments`; the call rejects with
+   * an AbortError as soon as the run is stopped.
+   */
+  async executeTool(toolCall, conversationId, { signal, attachments } = {}) {
+    const func = toolCall.function || {};
+    const name = func.name || 'unknown';
+    let args = {};
+    try {
+      if (func.arguments) {
+        args = typeof func.arguments === 'string' ? JSON.parse(func.arguments) : func.arguments;
+      }
+    } catch (_) {
+      return { error: `Invalid JSON arguments for ${name}: ${func.arguments}` };
+    }
+
+    const tool = this.toolRegistry.get(name);
+    if (!tool) return { error: `Unknown tool: ${name}` };
+    if (!this.isToolEnabled(name)) return { error: `Tool ${name} is disabled in settings.` };
+    const persona = this.getConversationPersona(this.state.conversations.get(conversationId));
+    if (Array.isArray(persona?.tools) && !persona.tools.includes(name)) {
+      return { error: `Tool ${name} is not available to the ${persona.name} persona.` };
+    }
+    const problems = this.validateAgainstSchema(args, tool.schema.function.parameters);
+    if (problems.length) return { error: `Invalid arguments for ${name}: ${problems.join('; ')}` };
+
+    const policy = this.getToolPolicy(name);
+    if (policy === 'deny') return { error: `Tool ${name} is blocked by the user's approval policy. Do not call it again; answer without it.` };
+    if (policy === 'ask' && !this.sessionApprovals.has(name)) {
+      // Waiting on the user doesn't count against the run's time budget
+      this.pauseRunDeadline(signal);
+      let decision;
+      try {
+        decision = await this.requestToolApproval(name, args, conversationId || this.state.currentConversationId, signal);
+      } finally {
+        this.resumeRunDeadline(signal);
+      }
+      if (!decision.approved) {
+        return { error: `The user rejected this ${name} call. Do not repeat it unchanged; adjust your approach or ask the user how to proceed.` };
+      }
+      args = decision.args;
+    }
+
+    this.throwIfAborted(signal);
+    this.addMessage('system', `Executing tool: ${name}`, conversationId || this.state.currentConversationId, { uiOnly: true });
+    const context = { signal, conversationId, attachments };
+    const result = await this.abortable(Promise.resolve().then(() => tool.handler(args, context)), signal);
+    return result === undefined ? { ok: true } : result;
+  }
+
+
+  // =========================
+  // ===== TOOL APPROVAL =====
+  // =========================
+  /**
+   * Each tool runs under a policy: `auto` (run straight away), `ask` (post an
+   * approval card and wait) or `deny` (never run). Settings → Tools overrides
+   * the tool's registered default (`options.approval`). Tools approved with
+   * "remember" skip the card until the page is reloaded.
+   */
+  getToolPolicy(name) {
+    const policy = this.state.settings.tools?.policies?.[name] || this.toolRegistry.get(name)?.options.approval;
+    return ['auto', 'ask', 'deny'].includes(policy) ? policy : 'auto';
+  }
+
+  /**
+   * Posts an approval card for a tool call and resolves with
+   * `{ approved, args }` once the user answers. Rejects with an AbortError if
+   * the run is stopped first.
+   */
+  requestToolApproval(name, args, conversationId, signal) {
+    const card = this.addMessage('system', '', conversationId, {
+      uiOnly: true,
+      approval: { name, args: JSON.stringify(args, null, 2), status: 'pending' }
+    });
+    if (!card) return Promise.resolve({ approved: false });
+    this.hideTypingIndicator();
+    if (conversationId !== this.state.currentConversationId) {
+      this.showToast('warning', 'Approval Needed', `A tool call in "${this.state.conversations.get(conversationId)?.title || 'another chat'}" is waiting for you.`);
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.settleApproval(card, conversationId, 'cancelled');
+        reject(this.createAbortError());
+      };
+      this.pendingApprovals.set(card.id, {
+        resolve: (decision) => { signal?.removeEventListener('abort', onAbort); resolve(decision); },
+        tool: this.toolRegistry.get(name),
+        original: JSON.stringify(args)
+      });
+      if (signal?.aborted) onAbort();
+      else signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  settleApproval(card, conversationId, status) {
+    this.pendingApprovals.delete(card.id);
+    card.approval.status = status;
+    delete card.approval.editing;
+    delete card.approval.error;
+    if (conversationId === this.state.currentConversationId) this.updateMessageElement(card);
+    this.scheduleConversationSave(conversationId);
+  }
+
+  /** Approve / Edit args / Reject on an approval card. */
+  handleApprovalAction(action, card, messageEl) {
+    const pending = this.pendingApprovals.get(card.id);
+    if (!pending || card.approval.status !== 'pending') return;
+    const conversationId = this.state.currentConversationId;
+
+    if (action === 'approval-edit') {
+      card.approval.editing = true;
+      this.updateMessageElement(card);
+      messageEl.querySelector('.approval-args-input')?.focus();
+      return;
+    }
+    if (action === 'approval-reject') {
+      this.settleApproval(card, conversationId, 'rejected');
+      this.showTypingIndicator();
+      pending.resolve({ approved: false });
+      return;
+    }
+
+    // Approve, with edited arguments when the editor is open
+    let args;
+    const input = messageEl.querySelector('.approval-args-input');
+    try {
+      args = JSON.parse(input ? input.value : card.approval.args);
+    } catch (e) {
+      card.approval.args = input.value;
+      card.approval.error = `Not valid JSON: ${e.message}`;
+      return this.updateMessageElement(card);
+    }
+    const problems = this.validateAgainstSchema(args, pending.tool?.schema.function.parameters || {});
+    if (problems.length) {
+      card.approval.args = input ? input.value : card.approval.args;
+      card.approval.error = problems.join('; ');
+      return this.updateMessageElement(card);
+    }
+    if (messageEl.querySelector('.approval-remember')?.checked) this.sessionApprovals.add(card.approval.name);
+    card.approval.edited = JSON.stringify(args) !== pending.original;
+    card.approval.args = JSON.stringify(args, null, 2);
+    this.settleApproval(card, conversationId, 'approved');
+    this.showTypingIndicator();
+    pending.resolve({ approved: true, args });
+  }
+
+  renderApprovalCard(message) {
+    const { name, args, status, editing, error, edited } = message.approval;
+    const live = status === 'pending' && this.pendingApprovals.has(message.id);
+    const label = {
+      approved: `<i class="fas fa-check"></i> Approved${edited ? ' with edited arguments' : ''}`,
+      rejected: '<i class="fas fa-ban"></i> Rejected — the model was told',
+      cancelled: '<i class="fas fa-stop"></i> Cancelled with the run',
+      pending: live ? '' : '<i class="fas fa-clock"></i> Not answered before the run ended'
+    }[status] || '';
+    return `
+      <div class="approval-card ${this.escapeHtml(status)}">
+        <div class="approval-title"><i class="fas fa-hand"></i> Run <code>${this.escapeHtml(name)}</code>?</div>
+        ${editing && live
+          ? `<textarea class="approval-args-input" rows="${Math.min(Math.max(args.split('\n').length, 3), 16)}" spellcheck="false">${this.escapeHtml(args)}</textarea>`
+          : `<pre><code class="language-json">${this.escapeHtml(args)}</code></pre>`}
+        ${error && live ? `<p class="approval-error">⚠️ ${this.escapeHtml(error)}</p>` : ''}
+        ${live ? `
+        <div class="approval-actions">
+          <button class="chart-action" data-msg-action="approval-approve"><i class="fas fa-check"></i> Approve</button>
+          ${editing ? '' : '<button class="chart-action" data-msg-action="approval-edit"><i class="fas fa-pen"></i> Edit args</button>'}
+          <button class="chart-action" data-msg-action="approval-reject"><i class="fas fa-ban"></i> Reject</button>
+          <label class="checkbox-label approval-remember-label"><input type="checkbox" class="approval-remember" /><span>Always allow <code>${this.escapeHtml(name)}</code> this session</span></label>
+        </div>` : `<div class="approval-status">${label}</div>`}
+      </div>`;
+  }
+
+  // =========================
+  // ======= WEB SEARCH ======
+  // =========================
+  /**
+   * Queries the configured search backend and returns normalized
+   * `{ title, url, snippet, source }` items. Results are cached per
+   * backend + query + count in `this.cache` for ten minutes.
+   */
+  async executeWebSearch({ query, results = 5 }, { signal } = {}) {
+    query = String(query || '').trim();
+    if (!query) return { error: 'Empty search query.' };
+    const count = Math.min(Math.max(parseInt(results, 10) || 5, 1), 20);
+    const cfg = this.state.settings.search || this.getDefaultSettings().search;
+    const backend = this.searchBackends[cfg.backend];
+    if (!backend) return { error: `Unknown search backend: ${cfg.backend}` };
+
+    const cacheKey = `search:${cfg.backend}:${cfg.url}:${count}:${query.toLowerCase()}`;
+    const hit = this.cache.get(cacheKey);
+    if (hit && Date.now() - hit.time < 10 * 60 * 1000) return { ...hit.value, cached: true };
+
+    const items = (await backend.search(query, count, cfg, signal))
+      .filter(item => item.url || item.title)
+      .slice(0, count)
+      .map(item => ({
+        title: this.stripHtml(item.title || item.url || ''),
+        url: item.url || '',
+        snippet: this.stripHtml(item.snippet || ''),
+        source: item.source || this.hostnameOf(item.url) || backend.label
+      }));
+    const value = { query, backend: cfg.backend, items };
+    this.cache.set(cacheKey, { time: Date.now(), value });
+    return value;
+  }
+
+  initializeSearchBackends() {
+    const trim = (url) => (url || '').trim().replace(/\/+$/, '');
+    const getJson = async (url, init, label) => {
+      const resp = await fetch(url, init);
+      if (!resp.ok) throw new Error(`${label} search failed (${resp.status} ${resp.statusText})`);
+      return resp.json();
+    };
+
+    return {
+      searxng: {
+        label: 'SearXNG',
+        search: async (query, count, cfg, signal) => {
+          if (!cfg.url) throw new Error('Set your SearXNG instance URL in Settings → Search.');
+          const data = await getJson(`${trim(cfg.url)}/search?format=json&q=${encodeURIComponent(query)}`, { signal }, 'SearXNG');
+          return (data.results || []).map(r => ({ title: r.title, url: r.url, snippet: r.content, source: r.engine }));
+        }
+      },
+      brave: {
+        label: 'Brave',
+        search: async (query, count, cfg, signal) => {
+          if (!cfg.apiKey) throw new Error('Set your Brave Search API token in Settings → Search.');
+          const base = trim(cfg.url) || 'https://api.search.brave.com/res/v1/web/search';
+          const data = await getJson(`${base}?q=${encodeURIComponent(query)}&count=${count}`, {
+            signal, headers: { Accept: 'application/json', 'X-Subscription-Token': cfg.apiKey }
+          }, 'Brave');
+          return (data.web?.results || []).map(r => ({ title: r.title, url: r.url, snippet: r.description, source: r.profile?.name }));
+        }
+      },
+      google: {
+        label: 'Google CSE',
+        search: async (query, count, cfg, signal) => {
+          if (!cfg.apiKey || !cfg.cx) throw new Error('Set your Google API key and search engine id (cx) in Settings → Search.');
+          const base = trim(cfg.url) || 'https://www.googleapis.com/customsearch/v1';
+          const params = new URLSearchParams({ key: cfg.apiKey, cx: cfg.cx, q: query, num: String(Math.min(count, 10)) });
+          const data = await getJson(`${base}?${params}`, { signal }, 'Google');
+          return (data.items || []).map(r => ({ title: r.title, url: r.link, snippet: r.snippet, source: r.displayLink }));
+        }
+      },
+      json: {
+        label: 'JSON endpoint',
+        // URL template placeholders: {query} and {count}
+        search: async (query, count, cfg, signal) => {
+          if (!cfg.url) throw new Error('Set the JSON search endpoint in Settings → Search.');
+          const url = cfg.url.includes('{query}')
+            ? cfg.url.replace(/\{query\}/g, encodeURIComponent(query)).replace(/\{count\}/g, count)
+            : `${cfg.url}${cfg.url.includes('?') ? '&' : '?'}q=${encodeURIComponent(query)}`;
+          const headers = cfg.apiKey ? { Authorization: `Bearer ${cfg.apiKey}` } : {};
+          const data = await getJson(url, { signal, headers }, 'JSON endpoint');
+          const list = cfg.resultsPath ? this.getByPath(data, cfg.resultsPath) : data;
+          if (!Array.isArray(list)) throw new Error(`No result array at "${cfg.resultsPath || '(root)'}" in the JSON response.`);
+          return list.map(r => ({
+            title: this.getByPath(r, cfg.titleField || 'title'),
+            url: this.getByPath(r, cfg.urlField || 'url'),
+            snippet: this.getByPath(r, cfg.snippetField || 'snippet')
+          }));
+        }
+      }
+    };
+  }
+
+  // =========================
+  // ===== FILE REGISTRY =====
+  // =========================
+  /**
+   * Uploaded files live on their conversation (`conversation.files`) with ids
+   * such as `file_1`, so the model can address them across turns. Images go to
+   * the composer instead and are sent to the model directly.
+   */
+  async handleFiles(files) {
+    const images = files.filter(file => this.supportedImageTypes.includes(file.type));
+    if (images.length) await this.addComposerImages(images);
+    files = files.filter(file => !images.includes(file));
+    if (!files.length) return;
+    const convId = this.state.currentConversationId || this.createNewConversation();
+    for (const file of files) {
+      if (!this.supportedFileTypes.some(type => file.name.toLowerCase().endsWith(type))) {
+        this.showToast('warning', 'Unsupported File', `${file.name} is not a supported file type.`);
+        continue;
+      }
+      if (file.size > this.maxFileBytes) {
+        this.showToast('warning', 'File Too Large', `${file.name} is over ${this.formatBytes(this.maxFileBytes)}.`);
+        continue;
+      }
+      try {
+        const content = await this.readFileAsText(file);
+        const entry = this.registerFile(convId, { name: file.name, type: file.type || this.guessMimeType(file.name), size: file.size, content });
+        if (!entry) continue;
+        this.hideWelcomeScreen();
+        this.addMessage('system',
+          `📎 File uploaded: **${file.name}** → \`${entry.id}\` (${this.formatBytes(file.size)}, ${entry.lines} lines). Ask me to analyze it.`,
+          convId, { uiOnly: true });
+      } catch (e) {
+        this.showToast('error', 'Upload Failed', `${file.name}: ${e.message || e}`);
+      }
+    }
+    this.saveCurrentConversation();
+  }
+
+  // ---- Image attachments (vision models) ----
+
+  /**
+   * Images are not registered as files: they wait in the composer
+   * (`this.pendingImages`) and travel on the next user message as `images`,
+   * downscaled to `imageLimits.maxDimension` and stored as data URLs.
+   */
+  async addComposerImages(files) {
+    const model = this.getComposerModel();
+    if (!this.isVisionModel(model)) {
+      this.showToast('warning', 'Model Can\'t See Images', `${model || 'The selected model'} does not accept images. Switch to a vision-capable model (GPT-4o, Claude 3 or later, Gemini…) to attach them.`);
+      return;
+    }
+    for (const file of files) {
+      if (this.pendingImages.length >= this.imageLimits.maxPerMessage) {
+        this.showToast('warning', 'Too Many Images', `Up to ${this.imageLimits.maxPerMessage} images can go with one message.`);
+        break;
+      }
+      if (file.size > this.imageLimits.maxInputBytes) {
+        this.showToast('warning', 'File Too Large', `${file.name || 'Image'} is over ${this.formatBytes(this.imageLimits.maxInputBytes)}.`);
+        continue;
+      }
+      try {
+        this.pendingImages.push({ id: this.generateId('img'), name: file.name || 'pasted image', ...await this.downscaleImage(file) });
+      } catch (e) {
+        this.showToast('error', 'Image Failed', `${file.name || 'Image'}: ${e.message || e}`);
+      }
+    }
+    this.renderComposerImages();
+  }
+
+  /** Fits an image into `maxDimension` and re-encodes it when it is large; returns `{ type, dataUrl, width, height, size }`. */
+  async downscaleImage(file) {
+    const { maxDimension, maxBytes, quality } = this.imageLimits;
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+    if (scale === 1 && file.size <= maxBytes) {
+      bitmap.close?.();
+      return { type: file.type, dataUrl: await this.readFileAsDataUrl(file), width, height, size: file.size };
+    }
+    // PNG has no lossy mode; JPEG needs an opaque background for transparent pixels
+    const type = file.type === 'image/webp' ? 'image/webp' : 'image/jpeg';
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (type === 'image/jpeg') {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close?.();
+    const dataUrl = canvas.toDataURL(type, quality);
+    return { type, dataUrl, width, height, size: Math.round((dataUrl.length - dataUrl.indexOf(',') - 1) * 0.75) };
+  }
+
+  readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result || ''));
+      reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  removeComposerImage(id) {
+    this.pendingImages = this.pendingImages.filter(img => img.id !== id);
+    this.renderComposerImages();
+  }
+
+  renderComposerImages() {
+    const strip = document.getElementById('composer-images');
+    if (!strip) return;
+    strip.hidden = !this.pendingImages.length;
+    strip.innerHTML = this.pendingImages.map(img => `
+      <figure class="composer-image" title="${this.escapeHtml(`${img.name} · ${img.width}×${img.height} · ${this.formatBytes(img.size)}`)}">
+        <img src="${img.dataUrl}" alt="${this.escapeHtml(img.name)}" />
+        <button class="composer-image-remove" data-image-id="${this.escapeHtml(img.id)}" title="Remove image"><i class="fas fa-times"></i></button>
+      </figure>`).join('');
+  }
+
+  /** Model the next message will go to: the current conversation's, or the API tab's for a new chat. */
+  getComposerModel() {
+    const conv = this.state.conversations.get(this.state.currentConversationId);
+    return conv ? this.getConversationModel(conv) : this.state.settings.llm.model;
+  }
+
+  /** Image input support: what the provider's model list said, otherwise known vision model families. */
+  isVisionModel(model) {
+    const id = String(model || '').toLowerCase();
+    if (this.modelModalities.has(id)) return this.modelModalities.get(id).includes('image');
+    return this.visionModelPatterns.some(pattern => pattern.test(id));
+  }
+
+  /** Keeps OpenRouter-style `architecture.input_modalities` from a model list. */
+  rememberModelModalities(models) {
+    (models || []).forEach(m => {
+      const arch = m?.architecture;
+      const inputs = Array.isArray(arch?.input_modalities) ? arch.input_modalities
+        : typeof arch?.modality === 'string' ? arch.modality.split('->')[0].split('+') : null;
+      if (m?.id && inputs) this.modelModalities.set(String(m.id).toLowerCase(), inputs.map(String));
+    });
+  }
+
+  /**
+   * Thumbnails of the images sent with a message; only well-formed image data
+   * URLs are rendered. In the app a click opens the full image (see openMessageImage);
+   * exported pages get plain images.
+   */
+  renderMessageImages(message, { forExport = false } = {}) {
+    const items = (message.images || []).map((img, index) => {
+      if (!this.sanitizerRules.imageDataUrl.test(img.dataUrl || '')) return '';
+      const name = this.escapeHtml(img.name || 'image');
+      const thumb = `<img src="${img.dataUrl}" alt="${name}" loading="lazy" />`;
+      return forExport ? thumb : `
+      <button class="message-image" data-msg-action="open-image" data-image-index="${index}" title="${name}">${thumb}</button>`;
+    }).join('');
+    return items ? `<div class="message-images">${items}</div>` : '';
+  }
+
+  /** Browsers refuse to navigate to data: URLs, so the image opens from a short-lived blob URL. */
+  async openMessageImage(message, index) {
+    const image = message.images?.[index];
+    if (!image || !this.sanitizerRules.imageDataUrl.test(image.dataUrl || '')) return;
+    const parsed = this.parseDataUrl(image.dataUrl);
+    const bytes = Uint8Array.from(atob(parsed.data.replace(/\s+/g, '')), c => c.charCodeAt(0));
+    const url = URL.createObjectURL(new Blob([bytes], { type: parsed.mimeType }));
+    if (!window.open(url, '_blank')) this.showToast('warning', 'Popup Blocked', 'Allow pop-ups for this page to open images.');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  /**
+   * Replaces image parts with a text note when the target model can't take
+   * images (history sent to a non-vision model by regenerate, compare or a model
+   * switch). Warns once per model per session.
+   */
+  stripImagesForModel(messages, model) {
+    if (this.isVisionModel(model) || !messages.some(m => Array.isArray(m.content))) return messages;
+    if (!this.imageWarnedModels.has(model)) {
+      this.imageWarnedModels.add(model);
+      this.showToast('warning', 'Images Left Out', `${model} does not accept images, so the images in this conversation were not sent to it.`);
+    }
+    return messages.map(m => {
+      if (!Array.isArray(m.content)) return m;
+      const images = m.content.filter(part => part.type === 'image_url').length;
+      const text = m.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+      return { ...m, content: [text, `[${images} image${images === 1 ? '' : 's'} omitted: this model cannot see images]`].filter(Boolean).join('\n\n') };
+    });
+  }
+
+  /** `data:<type>;base64,<data>` → `{ mimeType, data }` for providers that take raw base64. */
+  parseDataUrl(url) {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(String(url || ''));
+    return match ? { mimeType: match[1], data: match[2] } : null;
+  }
+
+  readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result || ''));
+      reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+      reader.readAsText(file);
+    });
+  }
+
+  registerFile(conversationId, { name, type, size, content }) {
+    const conversation = this.state.conversations.get(conversationId);
+    if (!conversation) return null;
+    conversation.files = conversation.files || [];
+    const next = conversation.files.reduce((max, f) => Math.max(max, parseInt(String(f.id).split('_')[1], 10) || 0), 0) + 1;
+    const entry = {
+      id: `file_${next}`,
+      name,
+      type,
+      size,
+      lines: this.countLines(content),
+      uploadedAt: Date.now(),
+      content
+    };
+    conversation.files.push(entry);
+    return entry;
+  }
+
+  /** System note listing the conversation's files; prepended to every request. */
+  describeFilesForModel(conversation) {
+    const files = conversation?.files || [];
+    if (!files.length) return null;
+    const list = files.map(f => `- ${f.id}: ${f.name} (${f.type || 'text'}, ${this.formatBytes(f.size)}, ${f.lines} lines)`).join('\n');
+    return `Files uploaded by the user in this conversation (use the process_file tool with the fileId to inspect them):\n${list}`;
+  }
+
+  resolveFile(conversationId, fileId) {
+    const files = this.state.conversations.get(conversationId)?.files || [];
+    const key = String(fileId || '').trim();
+    return files.find(f => f.id === key) || files.find(f => f.name === key) ||
+      files.find(f => f.name.toLowerCase() === key.toLowerCase()) || null;
+  }
+
+  async processFile({ fileId, operation = 'analyze', path, start_line, end_line, pattern, ignore_case = true }, { conversationId, signal } = {}) {
+    const file = this.resolveFile(conversationId || this.state.currentConversationId, fileId);
+    if (!file) {
+      const known = (this.state.conversations.get(conversationId)?.files || []).map(f => f.id).join(', ') || 'none';
+      return { error: `Unknown fileId "${fileId}". Available files: ${known}.` };
+    }
+    const text = file.content || '';
+    const lines = text.split(/\r\n|\r|\n/);
+    const clip = (s) => (s.length > 8000 ? `${s.slice(0, 8000)}… [truncated]` : s);
+    const meta = { fileId: file.id, name: file.name, operation };
+
+    switch (operation) {
+      case 'analyze': {
+        const result = { ...meta, ...this.countText(text), preview: clip(lines.slice(0, 20).join('\n')) };
+        if (this.isCsvFile(file)) result.csv = this.summarizeCsv(text);
+        else if (this.isJsonFile(file)) {
+          const parsed = this.safeJsonParse(text, undefined);
+          result.json = parsed === undefined ? { error: 'Invalid JSON' }
+            : { type: Array.isArray(parsed) ? 'array' : typeof parsed, length: Array.isArray(parsed) ? parsed.length : undefined,
+                keys: parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? Object.keys(parsed).slice(0, 50) : undefined };
+        }
+        return result;
+      }
+      case 'csv_stats':
+        return { ...meta, ...this.summarizeCsv(text) };
+      case 'json_query': {
+        const parsed = this.safeJsonParse(text, undefined);
+        if (parsed === undefined) return { ...meta, error: 'File is not valid JSON.' };
+        let matches;
+        try { matches = this.queryJsonPath(parsed, path || '$'); }
+        catch (e) { return { ...meta, error: e.message }; }
+        const value = matches.length === 1 ? matches[0] : matches;
+        const json = JSON.stringify(value) || 'null';
+        return json.length > 8000
+          ? { ...meta, path: path || '$', count: matches.length, truncated: true, result: clip(json) }
+          : { ...meta, path: path || '$', count: matches.length, result: value };
+      }
+      case 'read_lines': {
+        const start = Math.max(parseInt(start_line, 10) || 1, 1);
+        const end = Math.min(parseInt(end_line, 10) || start + 99, lines.length, start + 499);
+        const body = lines.slice(start - 1, end).map((l, i) => `${start + i}: ${l}`).join('\n');
+        return { ...meta, start_line: start, end_line: end, total_lines: lines.length, content: clip(body) };
+      }
+      case 'grep': {
+        if (!pattern) return { ...meta, error: 'grep needs a pattern.' };
+        const flags = ignore_case ? 'i' : '';
+        try { new RegExp(pattern, flags); }
+        catch (e) { return { ...meta, error: `Invalid regular expression: ${e.message}` }; }
+        const result = await this.grepInWorker(lines, pattern, flags, { signal });
+        if (result.error) return { ...meta, pattern, error: result.error };
+        return { ...meta, pattern, total_matches: result.total, matches: result.matches };
+      }
+      case 'count':
+        return { ...meta, ...this.countText(text) };
+      default:
+        return { ...meta, error: `Unknown operation "${operation}". Use analyze, csv_stats, json_query, read_lines, grep or count.` };
+    }
+  }
+
+  /**
+   * Model-supplied patterns can backtrack catastrophically, so grep runs in a
+   * throwaway worker under the sandbox timeout and is terminated on timeout or
+   * Stop. Lines are capped at `grepMaxLineChars` before testing.
+   */
+  grepInWorker(lines, pattern, flags, { signal } = {}) {
+    const { timeoutMs } = this.sandboxLimits;
+    const source = `
+self.onmessage = ({ data }) => {
+  const re = new RegExp(data.pattern, data.flags);
+  const matches = [];
+  let total = 0;
+  data.lines.forEach((l, i) => {
+    if (!re.test(l.length > data.maxLine ? l.slice(0, data.maxLine) : l)) return;
+    total++;
+    if (matches.length < 100) matches.push({ line: i + 1, text: l.length > 300 ? l.slice(0, 300) + '…' : l });
+  });
+  self.postMessage({ total, matches });
+};`;
+    let worker, url;
+    try {
+      url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+      worker = new Worker(url);
+    } catch (e) {
+      if (url) URL.revokeObjectURL(url);
+      return Promise.resolve({ error: `Could not start the search worker: ${e.message || e}` });
+    }
+    return new Promise(resolve => {
+      let timer = null;
+      const onAbort = () => finish({ error: 'Cancelled by user' });
+      const finish = (result) => {
+        if (!timer) return;
+        clearTimeout(timer);
+        timer = null;
+        worker.terminate();
+        URL.revokeObjectURL(url);
+        signal?.removeEventListener('abort', onAbort);
+        resolve(result);
+      };
+      timer = setTimeout(() => finish({
+        error: `The pattern took longer than ${timeoutMs} ms and was stopped. Simplify it (avoid nested quantifiers such as (a+)+).`
+      }), timeoutMs);
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+      worker.onmessage = ({ data }) => finish(data);
+      worker.onerror = (e) => {
+        e.preventDefault?.();
+        finish({ error: e.message || 'Search failed' });
+      };
+      worker.postMessage({ lines, pattern, flags, maxLine: this.grepMaxLineChars });
+    });
+  }
+
+  countText(text) {
+    return {
+      lines: this.countLines(text),
+      words: (text.match(/\S+/g) || []).length,
+      characters: text.length,
+      bytes: new Blob([text]).size
+    };
+  }
+
+  countLines(text) {
+    if (!text) return 0;
+    return text.split(/\r\n|\r|\n/).length - (/(\r\n|\r|\n)$/.test(text) ? 1 : 0);
+  }
+
+  isCsvFile(file) { return /\.csv$/i.test(file.name) || /csv/.test(file.type || ''); }
+  isJsonFile(file) { return /\.json$/i.test(file.name) || /json/.test(file.type || ''); }
+
+  /** RFC 4180-style parser (quoted fields, escaped quotes, CRLF); sniffs , ; or tab. */
+  parseCSV(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', '\t', ';'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+    const rows = [];
+    let row = [], field = '', inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') inQuotes = false;
+        else field += ch;
+      } else if (ch === '"') inQuotes = true;
+      else if (ch === delimiter) { row.push(field); field = ''; }
+      else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field); rows.push(row); row = []; field = '';
+      } else field += ch;
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+  }
+
+  summarizeCsv(text) {
+    const rows = this.parseCSV(text);
+    if (!rows.length) return { rows: 0, columns: [] };
+    const [header, ...data] = rows;
+    const columns = header.map((name, col) => {
+      const values = data.map(r => (r[col] ?? '').trim());
+      const present = values.filter(v => v !== '');
+      const numbers = present.map(Number).filter(n => Number.isFinite(n));
+      const stat = { name: name.trim() || `column_${col + 1}`, count: present.length, missing: values.length - present.length };
+      // Mostly-numeric columns are still summarized as numbers; stray values are counted
+      if (present.length && numbers.length >= present.length * 0.8) {
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const mean = numbers.reduce((s, n) => s + n, 0) / numbers.length;
+        const mid = Math.floor(sorted.length / 2);
+        const round = (n) => Math.round(n * 1e4) / 1e4;
+        Object.assign(stat, {
+          type: 'numeric',
+          non_numeric: present.length - numbers.length,
+          min: sorted[0],
+          max: sorted[sorted.length - 1],
+          mean: round(mean),
+          median: sorted.length % 2 ? sorted[mid] : round((sorted[mid - 1] + sorted[mid]) / 2),
+          std: round(Math.sqrt(numbers.reduce((s, n) => s + (n - mean) ** 2, 0) / numbers.length)),
+          sum: round(numbers.reduce((s, n) => s + n, 0))
+        });
+      } else {
+        const freq = new Map();
+        present.forEach(v => freq.set(v, (freq.get(v) || 0) + 1));
+        Object.assign(stat, {
+          type: 'text',
+          unique: freq.size,
+          top: Array.from(freq.entries()).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([value, count]) => ({ value, count }))
+        });
+      }
+      return stat;
+    });
+    return { rows: data.length, columns };
+  }
+
+  /**
+   * Small JSONPath subset: `$`, `.key`, `['key']`, `[0]`, `[-1]`, `[*]` / `.*`
+   * and `..key` (recursive descent). Plain `a.b.0` paths work too.
+   */
+  queryJsonPath(data, path) {
+    const tokens = [];
+    const re = /\.\.([A-Za-z_$][\w$-]*|\*)|\.([A-Za-z_$][\w$-]*|\*)|\[(\*|-?\d+|'[^']*'|"[^"]*")\]|^([A-Za-z_$][\w$-]*)|\.(\d+)/g;
+    const src = String(path).trim().replace(/^\$/, '');
+    let m, last = 0;
+    while ((m = re.exec(src))) {
+      if (m.index !== last) throw new Error(`Unsupported path syntax near "${src.slice(last)}"`);
+      last = re.lastIndex;
+      if (m[1]) tokens.push({ deep: true, key: m[1] });
+      else tokens.push({ key: (m[2] ?? m[4] ?? m[5] ?? m[3]).replace(/^['"]|['"]$/g, '') });
+    }
+    if (last !== src.length) throw new Error(`Unsupported path syntax near "${src.slice(last)}"`);
+
+    const children = (node, key) => {
+      if (node == null || typeof node !== 'object') return [];
+      if (key === '*') return Object.values(node);
+      if (Array.isArray(node) && /^-?\d+$/.test(key)) {
+        const i = parseInt(key, 10);
+        const v = node[i < 0 ? node.length + i : i];
+        return v === undefined ? [] : [v];
+      }
+      return Object.prototype.hasOwnProperty.call(node, key) ? [node[key]] : [];
+    };
+    const descend = (node, key, out) => {
+      out.push(...children(node, key));
+      if (node && typeof node === 'object') Object.values(node).forEach(v => descend(v, key, out));
+      return out;
+    };
+    return tokens.reduce((nodes, t) => nodes.flatMap(n => (t.deep ? descend(n, t.key, []) : children(n, t.key))), [data]);
+  }
+
+  guessMimeType(name) {
+    const ext = String(name).split('.').pop().toLowerCase();
+    return {
+      csv: 'text/csv', json: 'application/json', md: 'text/markdown', txt: 'text/plain', js: 'text/javascript',
+      py: 'text/x-python', html: 'text/html', css: 'text/css', xml: 'application/xml', yaml: 'text/yaml',
+      yml: 'text/yaml', sql: 'application/sql', log: 'text/plain'
+    }[ext] || 'text/plain';
+  }
+
+  formatBytes(bytes = 0) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // =========================
+  // ===== VISUALIZATION =====
+  // =========================
+  /**
+   * Parses `data` (CSV, JSON rows, a number array or named series), attaches a
+   * chart spec to the tool message for inline SVG rendering and tells the model
+   * what was plotted.
+   */
+  async createVisualization({ data, type = 'line', title = '', x, y, x_label, y_label, bins }, { attachments } = {}) {
+    const chartType = String(type || 'line').toLowerCase();
+    if (!['line', 'bar', 'scatter', 'pie', 'histogram'].includes(chartType)) {
+      return { error: `Unsupported chart type "${type}". Use line, bar, scatter, pie or histogram.` };
+    }
+    let spec;
+    try {
+      spec = this.buildChartSpec(this.parseChartData(data), { type: chartType, title, x, y, xLabel: x_label, yLabel: y_label, bins });
+    } catch (e) {
+      return { error: `Could not plot the data: ${e.message || e}` };
+    }
+    attachments?.push({ type: 'chart', spec });
+    return this.describeChart(spec);
+  }
+
+  /** Accepts CSV text, JSON text or already-parsed JSON; returns rows or series. */
+  parseChartData(data) {
+    let parsed = data;
+    if (typeof data === 'string') {
+      const text = data.trim();
+      if (!text) throw new Error('data is empty');
+      parsed = /^[[{]/.test(text) ? this.safeJsonParse(text, undefined) : undefined;
+      if (parsed === undefined) {
+        const rows = this.parseCSV(text);
+        if (rows.length < 2) throw new Error('expected CSV with a header row, JSON rows or a series array');
+        const [header, ...body] = rows;
+        parsed = body.map(r => Object.fromEntries(header.map((h, i) => [h.trim() || `col${i + 1}`, this.toNumberOrText(r[i])])));
+      }
+    }
+    if (parsed && !Array.isArray(parsed) && typeof parsed === 'object') {
+      // Chart.js-like {labels, datasets:[{label, data}]} or {labels, series}
+      const datasets = parsed.datasets || parsed.series;
+      if (Array.isArray(datasets)) {
+        return { labels: parsed.labels, series: datasets.map((d, i) => ({ name: d.label || d.name || `Series ${i + 1}`, values: d.data || d.values || [] })) };
+      }
+      if (Array.isArray(parsed.x) && Array.isArray(parsed.y)) return { labels: parsed.x, series: [{ name: parsed.name || 'y', values: parsed.y }] };
+      if (Array.isArray(parsed.data) || Array.isArray(parsed.rows)) return this.parseChartData(parsed.data || parsed.rows);
+    }
+    if (!Array.isArray(parsed) || !parsed.length) throw new Error('no data points found');
+    if (parsed.every(v => typeof v === 'number' || (typeof v === 'string' && v.trim() !== '' && !isNaN(v)))) {
+      return { series: [{ name: 'value', values: parsed.map(Number) }] };
+    }
+    if (parsed.every(v => Array.isArray(v))) {
+      return { rows: parsed.map(([a, b]) => ({ x: this.toNumberOrText(a), y: this.toNumberOrText(b) })) };
+    }
+    if (parsed.every(v => v && typeof v === 'object' && (Array.isArray(v.data) || Array.isArray(v.values)))) {
+      return { series: parsed.map((s, i) => ({ name: s.name || s.label || `Series ${i + 1}`, values: s.data || s.values })) };
+    }
+    return { rows: parsed.filter(v => v && typeof v === 'object') };
+  }
+
+  toNumberOrText(v) {
+    if (typeof v === 'number') return v;
+    const s = String(v ?? '').trim();
+    return s !== '' && !isNaN(s) ? Number(s) : s;
+  }
+
+  buildChartSpec(parsed, { type, title, x, y, xLabel, yLabel, bins }) {
+    let labels = parsed.labels ? parsed.labels.map(String) : null;
+    let series = parsed.series || [];
+    let xKey = x;
+
+    if (parsed.rows) {
+      const rows = parsed.rows;
+      const keys = Object.keys(rows[0] || {});
+      const numericKeys = keys.filter(k => rows.every(r => r[k] === '' || typeof r[k] === 'number'));
+      xKey = x && keys.includes(x) ? x : (type === 'scatter' ? numericKeys[0] : keys.find(k => !numericKeys.includes(k)) || keys[0]);
+      const wanted = (Array.isArray(y) ? y : String(y || '').split(',')).map(s => String(s).trim()).filter(k => keys.includes(k));
+      const yKeys = wanted.length ? wanted : numericKeys.filter(k => k !== xKey);
+      if (!yKeys.length) throw new Error('no numeric column to plot');
+      labels = rows.map(r => String(r[xKey] ?? ''));
+      series = yKeys.map(k => ({ name: k, values: rows.map(r => (typeof r[k] === 'number' ? r[k] : NaN)), xs: rows.map(r => Number(r[xKey])) }));
+    }
+
+    series = series.map(s => ({ ...s, values: (s.values || []).map(v => (v === null || v === '' ? NaN : Number(v))) }));
+    if (!series.length || !series.some(s => s.values.some(Number.isFinite))) throw new Error('no numeric values to plot');
+    const length = Math.max(...series.map(s => s.values.length));
+    labels = labels && labels.length ? labels.slice(0, length) : Array.from({ length }, (_, i) => String(i + 1));
+
+    const spec = { type, title: title || '', xLabel: xLabel || (xKey && type !== 'histogram' ? xKey : ''), yLabel: yLabel || '', labels, series };
+
+    if (type === 'histogram') {
+      const values = series.flatMap(s => s.values).filter(Number.isFinite);
+      const min = Math.min(...values), max = Math.max(...values);
+      const count = Math.max(1, Math.min(parseInt(bins, 10) || Math.ceil(Math.log2(values.length) + 1), 50));
+      const width = (max - min) / count || 1;
+      const counts = new Array(count).fill(0);
+      values.forEach(v => { counts[Math.min(Math.floor((v - min) / width), count - 1)]++; });
+      const fmt = (n) => (Math.abs(n) >= 100 ? Math.round(n) : Math.round(n * 100) / 100);
+      spec.labels = counts.map((_, i) => `${fmt(min + i * width)}–${fmt(min + (i + 1) * width)}`);
+      spec.series = [{ name: series.length === 1 ? series[0].name : 'values', values: counts }];
+      spec.yLabel = spec.yLabel || 'count';
+      spec.xLabel = spec.xLabel || (series.length === 1 ? series[0].name : '');
+    }
+    if (type === 'scatter') {
+      spec.series = series.map(s => ({
+        name: s.name,
+        values: s.values,
+        xs: s.xs && s.xs.every(Number.isFinite) ? s.xs : labels.map((l, i) => (isNaN(l) ? i + 1 : Number(l)))
+      }));
+    }
+    if (type === 'pie') spec.series = [series[0]];
+    return spec;
+  }
+
+  describeChart(spec) {
+    const finite = spec.series.flatMap(s => s.values).filter(Number.isFinite);
+    return {
+      rendered: true,
+      type: spec.type,
+      title: spec.title || null,
+      series: spec.series.map(s => s.name),
+      points: Math.max(...spec.series.map(s => s.values.length)),
+      categories: spec.type === 'scatter' ? undefined : spec.labels.slice(0, 20),
+      value_range: finite.length ? [Math.min(...finite), Math.max(...finite)] : null,
+      summary: `Rendered a ${spec.type} chart${spec.title ? ` titled "${spec.title}"` : ''} with ${spec.series.length} series (${spec.series.map(s => s.name).join(', ')}) over ${spec.labels.length} ${spec.type === 'histogram' ? 'bins' : 'points'}. The user can see it inline.`
+    };
+  }
+
+  niceTicks(min, max, count = 5) {
+    if (min === max) { min -= 1; max += 1; }
+    const raw = (max - min) / count;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * mag).find(s => s >= raw) || raw;
+    const ticks = [];
+    for (let v = Math.floor(min / step) * step; v <= max + step * 1e-9; v += step) ticks.push(Math.round(v / step) * step);
+    if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+    return ticks;
+  }
+
+  formatTick(n) {
+    const abs = Math.abs(n);
+    if (abs >= 1e9) return `${+(n / 1e9).toFixed(1)}B`;
+    if (abs >= 1e6) return `${+(n / 1e6).toFixed(1)}M`;
+    if (abs >= 1e4) return `${+(n / 1e3).toFixed(1)}k`;
+    return String(+n.toFixed(2));
+  }
+
+  /**
+   * Renders a chart spec to an SVG string. Inline charts inherit the theme via
+   * currentColor; `forExport` bakes in a white background for PNG/SVG downloads.
+   */
+  renderChartSvg(spec, { forExport = false } = {}) {
+    const W = 640, H = 360;
+    const palette = ['#667eea', '#f093fb', '#4facfe', '#00d4aa', '#ffb946', '#ff6b6b', '#8b9eff', '#e374f7'];
+    const esc = (t) => this.escapeHtml(String(t ?? ''));
+    const ink = forExport ? '#1a202c' : 'currentColor';
+    const multi = spec.series.length > 1 || spec.type === 'pie';
+    const legendItems = spec.type === 'pie' ? spec.labels : spec.series.map(s => s.name);
+    const pad = { top: spec.title ? 40 : 16, right: multi ? 140 : 20, bottom: spec.xLabel ? 56 : 40, left: 64 };
+    const plotW = W - pad.left - pad.right, plotH = H - pad.top - pad.bottom;
+    const parts = [];
+
+    if (forExport) parts.push(`<rect width="${W}" height="${H}" fill="#ffffff"/>`);
+    if (spec.title) parts.push(`<text x="${W / 2}" y="24" text-anchor="middle" font-size="16" font-weight="600" fill="${ink}">${esc(spec.title)}</text>`);
+
+    if (spec.type === 'pie') {
+      const values = spec.series[0].values.map(v => (Number.isFinite(v) && v > 0 ? v : 0));
+      const total = values.reduce((a, b) => a + b, 0) || 1;
+      const cx = pad.left + plotW / 2, cy = pad.top + plotH / 2, r = Math.min(plotW, plotH) / 2 - 4;
+      let angle = -Math.PI / 2;
+      values.forEach((v, i) => {
+        if (!v) return;
+        const sweep = (v / total) * Math.PI * 2;
+        const x1 = cx + r * Math.cos(angle), y1 = cy + r * Math.sin(angle);
+        const x2 = cx + r * Math.cos(angle + sweep), y2 = cy + r * Math.sin(angle + sweep);
+        const d = sweep >= Math.PI * 2 - 1e-9
+          ? `M ${cx - r} ${cy} a ${r} ${r} 0 1 0 ${2 * r} 0 a ${r} ${r} 0 1 0 ${-2 * r} 0`
+          : `M ${cx} ${cy} L ${x1} ${y1} A ${r} ${r} 0 ${sweep > Math.PI ? 1 : 0} 1 ${x2} ${y2} Z`;
+        parts.push(`<path d="${d}" fill="${palette[i % palette.length]}" stroke="#fff" stroke-width="1"><title>${esc(spec.labels[i])}: ${v} (${Math.round((v / total) * 1000) / 10}%)</title></path>`);
+        angle += sweep;
+      });
+    } else {
+      const isScatter = spec.type === 'scatter';
+      const ys = spec.series.flatMap(s => s.values).filter(Number.isFinite);
+      const yMin = spec.type === 'bar' || spec.type === 'histogram' ? Math.min(0, ...ys) : Math.min(...ys);
+      const yTicks = this.niceTicks(yMin, Math.max(...ys));
+      const y0 = yTicks[0], y1 = yTicks[yTicks.length - 1];
+      const sy = (v) => pad.top + plotH - ((v - y0) / (y1 - y0 || 1)) * plotH;
+
+      let sx, xTickMarks;
+      const n = spec.labels.length;
+      if (isScatter) {
+        const xs = spec.series.flatMap(s => s.xs).filter(Number.isFinite);
+        const xTicks = this.niceTicks(Math.min(...xs), Math.max(...xs));
+        const x0 = xTicks[0], x1 = xTicks[xTicks.length - 1];
+        sx = (v) => pad.left + ((v - x0) / (x1 - x0 || 1)) * plotW;
+        xTickMarks = xTicks.map(t => ({ x: sx(t), label: this.formatTick(t) }));
+      } else {
+        const band = plotW / Math.max(n, 1);
+        sx = (i) => pad.left + band * i + band / 2;
+        const every = Math.ceil(n / 12);
+        xTickMarks = spec.labels.map((l, i) => ({ x: sx(i), label: l.length > 12 ? `${l.slice(0, 11)}…` : l })).filter((_, i) => i % every === 0);
+      }
+
+      // gridlines + axes
+      yTicks.forEach(t => parts.push(
+        `<line x1="${pad.left}" x2="${pad.left + plotW}" y1="${sy(t)}" y2="${sy(t)}" stroke="${ink}" stroke-opacity="0.12"/>` +
+        `<text x="${pad.left - 8}" y="${sy(t) + 4}" text-anchor="end" font-size="11" fill="${ink}" fill-opacity="0.75">${esc(this.formatTick(t))}</text>`));
+      parts.push(`<line x1="${pad.left}" x2="${pad.left}" y1="${pad.top}" y2="${pad.top + plotH}" stroke="${ink}" stroke-opacity="0.5"/>`);
+      parts.push(`<line x1="${pad.left}" x2="${pad.left + plotW}" y1="${pad.top + plotH}" y2="${pad.top + plotH}" stroke="${ink}" stroke-opacity="0.5"/>`);
+      xTickMarks.forEach(t => parts.push(`<text x="${t.x}" y="${pad.top + plotH + 16}" text-anchor="middle" font-size="11" fill="${ink}" fill-opacity="0.75">${esc(t.label)}</text>`));
+      if (spec.xLabel) parts.push(`<text x="${pad.left + plotW / 2}" y="${H - 12}" text-anchor="middle" font-size="12" fill="${ink}">${esc(spec.xLabel)}</text>`);
+      if (spec.yLabel) parts.push(`<text transform="translate(16 ${pad.top + plotH / 2}) rotate(-90)" text-anchor="middle" font-size="12" fill="${ink}">${esc(spec.yLabel)}</text>`);
+
+      spec.series.forEach((s, si) => {
+        const color = palette[si % palette.length];
+        if (spec.type === 'bar' || spec.type === 'histogram') {
+          const band = plotW / Math.max(n, 1);
+          const gap = spec.type === 'histogram' ? 0 : band * 0.15;
+          const bw = (band - gap * 2) / spec.series.length;
+          s.values.forEach((v, i) => {
+            if (!Number.isFinite(v)) return;
+            const top = sy(Math.max(v, 0)), bottom = sy(Math.min(v, 0));
+            parts.push(`<rect x="${pad.left + band * i + gap + bw * si}" y="${top}" width="${Math.max(bw - (spec.type === 'histogram' ? 1 : 0), 1)}" height="${Math.max(bottom - top, 0)}" fill="${color}"><title>${esc(spec.labels[i])}: ${v}</title></rect>`);
+          });
+        } else if (isScatter) {
+          s.values.forEach((v, i) => {
+            if (!Number.isFinite(v) || !Number.isFinite(s.xs[i])) return;
+            parts.push(`<circle cx="${sx(s.xs[i])}" cy="${sy(v)}" r="4" fill="${color}" fill-opacity="0.8"><title>(${s.xs[i]}, ${v})</title></circle>`);
+          });
+        } else {
+          const pts = s.values.map((v, i) => (Number.isFinite(v) ? `${sx(i)},${sy(v)}` : null));
+          const segments = pts.join(' ').split(/\s*null\s*/).filter(Boolean);
+          segments.forEach(seg => parts.push(`<polyline points="${seg.trim()}" fill="none" stroke="${color}" stroke-width="2"/>`));
+          s.values.forEach((v, i) => {
+            if (Number.isFinite(v)) parts.push(`<circle cx="${sx(i)}" cy="${sy(v)}" r="3" fill="${color}"><title>${esc(spec.labels[i])}: ${v}</title></circle>`);
+          });
+        }
+      });
+    }
+
+    if (multi) {
+      legendItems.slice(0, 14).forEach((name, i) => {
+        const ly = pad.top + 8 + i * 18;
+        parts.push(`<rect x="${W - pad.right + 16}" y="${ly - 9}" width="10" height="10" rx="2" fill="${palette[i % palette.length]}"/>` +
+          `<text x="${W - pad.right + 32}" y="${ly}" font-size="11" fill="${ink}">${esc(String(name).slice(0, 16))}</text>`);
+      });
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" width="${W}" height="${H}" font-family="Inter, sans-serif" role="img" aria-label="${esc(spec.title || `${spec.type} chart`)}">${parts.join('')}</svg>`;
+  }
+
+  renderAttachments(message) {
+    return (message.attachments || []).map((att, index) => {
+      if (att.type !== 'chart') return '';
+      return `
+        <figure class="chart-card" data-attachment-index="${index}">
+          <div class="chart-svg">${this.renderChartSvg(att.spec)}</div>
+          <figcaption class="chart-actions">
+            <button class="chart-action" data-msg-action="chart-png" title="Download PNG"><i class="fas fa-image"></i> PNG</button>
+            <button class="chart-action" data-msg-action="chart-svg" title="Download SVG"><i class="fas fa-file-code"></i> SVG</button>
+            <button class="chart-action" data-msg-action="chart-copy" title="Copy data as CSV"><i class="fas fa-copy"></i> Copy data</button>
+          </figcaption>
+        </figure>`;
+    }).join('');
+  }
+
+  chartToCsv(spec) {
+    const quote = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+    if (spec.type === 'scatter') {
+      const rows = ['series,x,y'];
+      spec.series.forEach(s => s.values.forEach((v, i) => rows.push([s.name, s.xs[i], v].map(quote).join(','))));
+      return rows.join('\n');
+    }
+    const header = [spec.xLabel || 'label', ...spec.series.map(s => s.name)].map(quote).join(',');
+    const rows = spec.labels.map((l, i) => [l, ...spec.series.map(s => (Number.isFinite(s.values[i]) ? s.values[i] : ''))].map(quote).join(','));
+    return [header, ...rows].join('\n');
+  }
+
+  async handleChartAction(action, spec) {
+    const name = (spec.title || `${spec.type}-chart`).replace(/[^\w-]+/g, '_');
+    if (action === 'chart-copy') {
+      const csv = this.chartToCsv(spec);
+      // The Clipboard API only exists on secure origins; opened from a file or LAN URL, download instead
+      try {
+        if (!navigator.clipboard) throw new Error('Clipboard unavailable');
+        await navigator.clipboard.writeText(csv);
+        this.showToast('success', 'Copied', 'Chart data copied as CSV.');
+      } catch (_) {
+        this.downloadBlob(new Blob([csv], { type: 'text/csv' }), `${name}.csv`);
+        this.showToast('info', 'Clipboard Unavailable', 'Chart data was downloaded as a CSV file instead.');
+      }
+      return;
+    }
+    const svg = this.renderChartSvg(spec, { forExport: true });
+    if (action === 'chart-svg') {
+      this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${name}.svg`);
+      return;
+    }
+    // PNG: rasterize the export SVG at 2x through a canvas
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    try {
+      const img = new Image();
+      await new Promise((resolve, reject) => { img.onload = resolve; img.onerror = () => reject(new Error('Could not rasterize chart')); img.src = url; });
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width * 2;
+      canvas.height = img.height * 2;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(2, 2);
+      ctx.drawImage(img, 0, 0);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      if (!blob) throw new Error('PNG export is not supported in this browser');
+      this.downloadBlob(blob, `${name}.png`);
+    } catch (e) {
+      this.showToast('error', 'Export Failed', e.message || 'Could not export chart');
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /** Delegated click handler for buttons rendered inside messages (`data-msg-action`). */
+  handleMessageAction(e) {
+    const btn = e.target.closest('[data-msg-action]');
+    if (!btn || !this.elements.messages?.contains(btn)) return;
+    if (btn.dataset.msgAction === 'load-image') {
+      this.loadRemoteImage(btn);
+      return;
+    }
+    const msgId = btn.closest('.message')?.dataset.messageId;
+    const conv = this.state.conversations.get(this.state.currentConversationId);
+    const msg = conv?.messages.find(m => m.id === msgId);
+    if (!msg) return;
+    const action = btn.dataset.msgAction;
+
+    if (action === 'continue-run') {
+      const turns = parseInt(btn.closest('.budget-continue')?.querySelector('.budget-turns')?.value, 10) || msg.budgetNotice?.continueTurns || 3;
+      this.continueRun(this.state.currentConversationId, Math.min(Math.max(turns, 1), 50));
+      return;
+    }
+
+    if (action === 'branch-prev' || action === 'branch-next') {
+      this.switchBranch(conv.id, msg.id, action === 'branch-next' ? 1 : -1);
+      return;
+    }
+
+    if (action.startsWith('approval-')) {
+      this.handleApprovalAction(action, msg, btn.closest('.message'));
+      return;
+    }
+    if (action === 'bookmark') {
+      this.toggleBookmark(conv.id, msg.id);
+      return;
+    }
+    if (action === 'open-image') {
+      this.openMessageImage(msg, parseInt(btn.dataset.imageIndex, 10));
+      return;
+    }
+    if (action === 'speak') {
+      this.toggleSpeakMessage(msg);
+      return;
+    }
+    if (action === 'regenerate') {
+      this.regenerateResponse(conv.id, msg.id);
+      return;
+    }
+    if (action === 'compare') {
+      this.openCompare(msg.id);
+      return;
+    }
+    if (action === 'compare-keep') {
+      this.keepComparison(conv.id, msg.id, parseInt(btn.closest('[data-compare-index]')?.dataset.compareIndex, 10));
+      return;
+    }
+
+    if (action === 'edit-save') {
+      const text = btn.closest('.message-content')?.querySelector('.message-edit-input')?.value || '';
+      this.branchFromEdit(conv.id, msg.id, text);
+      return;
+    }
+    if (action === 'edit-cancel') {
+      this.loadConversation(conv.id);
+      return;
+    }
+
+    if (action.startsWith('chart-')) {
+      const index = parseInt(btn.closest('[data-attachment-index]')?.dataset.attachmentIndex, 10);
+      const spec = msg.attachments?.[index]?.spec;
+      if (spec) this.handleChartAction(action, spec).catch(err => this.showToast('error', 'Chart Action Failed', err.message || String(err)));
+    }
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // =========================
+  // ===== CODE SANDBOX ======
+  // =========================
+  /**
+   * Runs model-supplied JavaScript in a throwaway Web Worker. Storage and network
+   * globals are removed before the code runs, console output is streamed back as
+   * it happens (so it survives a timeout), and the worker is terminated on
+   * completion, timeout or cancellation.
+   */
+  async executeCode({ code }, { signal } = {}) {
+    if (typeof code !== 'string' || !code.trim()) return { ok: false, error: { name: 'Error', message: 'No code provided.' } };
+    const { timeoutMs, maxOutputChars } = this.sandboxLimits;
+
+    let worker, url;
+    try {
+      url = URL.createObjectURL(new Blob([this.getSandboxSource(maxOutputChars)], { type: 'text/javascript' }));
+      worker = new Worker(url);
+    } catch (e) {
+      if (url) URL.revokeObjectURL(url);
+      return { ok: false, error: { name: 'SandboxError', message: `Could not start the sandbox: ${e.message || e}` } };
+    }
+
+    const started = Date.now();
+    const logs = [];
+    let logChars = 0;
+    let truncated = false;
+
+    return new Promise(resolve => {
+      let timer = null;
+      const onAbort = () => finish({ ok: false, error: { name: 'AbortError', message: 'Cancelled by user' } });
+      const finish = (result) => {
+        if (!timer) return;
+        clearTimeout(timer);
+        timer = null;
+        worker.terminate();
+        URL.revokeObjectURL(url);
+        signal?.removeEventListener('abort', onAbort);
+        resolve({ ...result, logs, truncated: truncated || !!result.truncated, durationMs: Date.now() - started });
+      };
+
+      timer = setTimeout(() => finish({
+        ok: false,
+        error: { name: 'TimeoutError', message: `Execution exceeded ${timeoutMs} ms and was terminated.` }
+      }), timeoutMs);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      worker.onmessage = ({ data }) => {
+        if (!data) return;
+        if (data.type === 'log') {
+          if (logChars >= maxOutputChars) { truncated = true; return; }
+          const text = String(data.text).slice(0, maxOutputChars - logChars);
+          if (text.length < String(data.text).length) truncated = true;
+          logChars += text.length;
+          logs.push({ level: data.level, text });
+        } else if (data.type === 'done') {
+          const { type, ...rest } = data;
+          finish(rest);
+        }
+      };
+      worker.onerror = (e) => {
+        e.preventDefault?.();
+        finish({ ok: false, error: { name: 'Error', message: e.message || 'Sandbox error' } });
+      };
+      worker.postMessage({ code });
+    });
+  }
+
+  /** Source of the sandbox worker; kept as a string so it can be loaded from a Blob URL. */
+  getSandboxSource(maxOutputChars) {
+    return `
+'use strict';
+const post = self.postMessage.bind(self);
+const LIMIT = ${Number(maxOutputChars) || 10000};
+
+// Remove storage, network and nested-worker APIs from the whole global prototype chain
+['indexedDB', 'caches', 'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'BroadcastChannel',
+ 'importScripts', 'Worker', 'SharedWorker', 'WebTransport', 'cookieStore', 'storage'].forEach(name => {
+  for (let o = self; o; o = Object.getPrototypeOf(o)) {
+    try { if (Object.prototype.hasOwnProperty.call(o, name)) delete o[name]; } catch (_) {}
+  }
+  try { Object.defineProperty(self, name, { value: undefined, configurable: false, writable: false }); } catch (_) {}
+});
+try { Object.defineProperty(navigator, 'storage', { value: undefined }); } catch (_) {}
+
+const format = (value, depth = 0) => {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return value.stack || (value.name + ': ' + value.message);
+  if (typeof value === 'function') return '[Function ' + (value.name || 'anonymous') + ']';
+  if (typeof value === 'bigint') return value + 'n';
+  if (typeof value === 'symbol' || value === undefined) return String(value);
+  if (value instanceof Map) return 'Map(' + value.size + ') ' + format(Object.fromEntries(value), depth);
+  if (value instanceof Set) return 'Set(' + value.size + ') ' + format(Array.from(value), depth);
+  const seen = new WeakSet();
+  try {
+    return JSON.stringify(value, (k, v) => {
+      if (typeof v === 'bigint') return v + 'n';
+      if (typeof v === 'function') return '[Function]';
+      if (v && typeof v === 'object') { if (seen.has(v)) return '[Circular]'; seen.add(v); }
+      return v;
+    }, 2) ?? String(value);
+  } catch (_) { return String(value); }
+};
+const clip = (text) => text.length > LIMIT ? text.slice(0, LIMIT) + '… [truncated]' : text;
+
+['log', 'info', 'debug', 'warn', 'error'].forEach(level => {
+  console[level] = (...args) => post({ type: 'log', level: level === 'info' || level === 'debug' ? 'log' : level, text: clip(args.map(a => format(a)).join(' ')) });
+});
+
+self.onmessage = async ({ data }) => {
+  const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+  try {
+    let fn;
+    // A lone expression yields its value; otherwise run as a function body (use an explicit return)
+    try { fn = new AsyncFunction('return (' + data.code + '\\n);'); }
+    catch (_) { fn = new AsyncFunction(data.code); }
+    const value = await fn();
+    const text = format(value);
+    post({ type: 'done', ok: true, result: clip(text), resultType: value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value, truncated: text.length > LIMIT });
+  } catch (err) {
+    const e = err instanceof Error ? err : new Error(format(err));
+    post({ type: 'done', ok: false, error: { name: e.name, message: e.message, stack: clip(String(e.stack || '')) } });
+  }
+};
+`;
+  }
+
+  // =========================
+  // ====== UI MESSAGES ======
+  // =========================
+  /**
+   * Appends a message to a conversation and renders it.
+   * `extra` carries API fields (tool_calls, tool_call_id, name), the model used,
+   * or `uiOnly: true` for notices that must never be sent to the model.
+   */
+  addMessage(role, content, conversationId, extra = {}) {
+    try {
+      const convId = conversationId || this.state.currentConversationId;
+      if (!convId) return;
+      const conversation = this.state.conversations.get(convId);
+      if (!conversation || content === null || content === undefined) return;
+
+      const parentId = conversation.messages[conversation.messages.length - 1]?.id ?? null;
+      const message = { id: this.generateId('msg'), role, content, timestamp: Date.now(), parentId, ...extra };
+      conversation.messages.push(message);
+      this.touchConversation(conversation, message);
+      this.scheduleConversationSave(convId);
+
+      if (convId === this.state.currentConversationId) {
+        this.displayMessage(message);
+        this.scrollToBottom();
+        this.updateContextMeter();
+      }
+      return message;
+    } catch (e) {
+      console.error('addMessage error', e);
+    }
+  }
+
+  /** Refreshes the sidebar preview/title after a user-visible message lands. */
+  touchConversation(conversation, message) {
+    const { role, content } = message;
+    if (role === 'system' || role === 'tool' || message.uiOnly || message.streaming) return;
+    if (typeof content !== 'string' || !content) return;
+    conversation.preview = content.substring(0, 100);
+    if (!conversation.title || conversation.title === 'New Conversation') {
+      conversation.title = content.substring(0, 30) || 'Conversation';
+    }
+    conversation.updatedAt = Date.now();
+    this.updateConversationList();
+  }
+
+  renderMessageContent(message) {
+    let processedContent = '';
+    if (typeof message.content === 'string' && window.marked) {
+      try { processedContent = this.sanitizeHtml(marked.parse(message.content)); }
+      catch { processedContent = `<p>${this.escapeHtml(message.content)}</p>`; }
+    } else if (typeof message.content === 'string') {
+      processedContent = `<p>${this.escapeHtml(message.content)}</p>`;
+    } else {
+      processedContent = `<pre><code>${this.escapeHtml(JSON.stringify(message.content, null, 2))}</code></pre>`;
+    }
+    if (!message.content) processedContent = '';
+    if (message.images?.length) processedContent += this.renderMessageImages(message);
+    if (Array.isArray(message.tool_calls) && message.tool_calls.length) {
+      processedContent += this.renderToolCalls(message.tool_calls);
+    }
+    if (message.attachments?.length) processedContent += this.renderAttachments(message);
+    if (message.budgetNotice) processedContent += this.renderBudgetNotice(message);
+    if (message.comparison) processedContent += this.renderComparison(message);
+    if (message.approval) processedContent += this.renderApprovalCard(message);
+    if (message.streaming) processedContent += '<span class="streaming-cursor"></span>';
+    return processedContent;
+  }
+
+  highlightCode(root) {
+    if (!window.hljs || !root) return;
+    root.querySelectorAll('pre code').forEach(block => {
+      try { hljs.highlightElement(block); } catch (_) {}
+    });
+  }
+
+  /** Re-renders an already displayed message in place (used while streaming). */
+  updateMessageElement(message) {
+    const el = this.elements.messages?.querySelector(`.message[data-message-id="${message.id}"]`);
+    const contentEl = el?.querySelector('.message-content');
+    if (!contentEl) return;
+    const usageEl = el.querySelector('.message-usage');
+    if (usageEl) usageEl.textContent = this.describeMessageUsage(message);
+    const controlsEl = el.querySelector('.message-controls');
+    if (controlsEl) controlsEl.innerHTML = this.renderMessageControls(message);
+    contentEl.innerHTML = this.renderMessageContent(message);
+    this.highlightCode(contentEl);
+    this.scrollToBottom();
+  }
+
+  /** Coalesces streaming re-renders to one per animation frame. */
+  scheduleMessageRender(message) {
+    this.pendingRenders = this.pendingRenders || new Map();
+    this.pendingRenders.set(message.id, message);
+    if (this.renderFrame) return;
+    const raf = window.requestAnimationFrame || (cb => setTimeout(cb, 16));
+    this.renderFrame = raf(() => {
+      this.renderFrame = null;
+      const pending = Array.from(this.pendingRenders.values());
+      this.pendingRenders.clear();
+      pending.forEach(m => this.updateMessageElement(m));
+    });
+  }
+
+  displayMessage(message) {
+    try {
+      if (!this.elements.messages) return;
+      const messageEl = document.createElement('div');
+      messageEl.className = `message ${message.role}`;
+      messageEl.dataset.messageId = message.id;
+
+      let senderName = { user: 'You', assistant: 'Querya', system: 'System', tool: 'Tool' }[message.role] || message.role;
+      if (message.role === 'tool' && message.name) senderName = `Tool · ${message.name}`;
+      let avatarIcon = { user: 'fa-user', assistant: 'fa-robot', system: 'fa-cog', tool: 'fa-wrench' }[message.role] || 'fa-comment';
+      if (message.comparison) senderName = `Compare · ${message.comparison.length} models`;
+      if (message.approval) senderName = `Approval · ${message.approval.name}`;
+      if (message.summary) {
+        messageEl.classList.add('summary');
+        senderName = `Pinned summary · ${message.summarizedCount || 0} earlier messages`;
+        avatarIcon = 'fa-thumbtack';
+      }
+
+      const processedContent = this.renderMessageContent(message);
+
+      messageEl.innerHTML = `
+        <div class="message-header">
+          <div class="message-avatar ${message.role}"><i class="fas ${avatarIcon}"></i></div>
+          <div class="message-info">
+            <div class="message-sender">${this.escapeHtml(senderName)}</div>
+            <div class="message-time message-usage">${this.escapeHtml(this.describeMessageUsage(message))}</div>
+          </div>
+          <div class="message-controls">${this.renderMessageControls(message)}</div>
+        </div>
+        <div class="message-content">${processedContent}</div>
+      `;
+
+      this.elements.messages.appendChild(messageEl);
+      this.highlightCode(messageEl);
+    } catch (e) {
+      console.error('displayMessage error', e);
+    }
+  }
+
+  /** Header buttons (bookmark, plus regenerate/compare on replies) and the branch switcher. */
+  renderMessageControls(message) {
+    if (message.uiOnly || message.streaming) return this.renderBranchNav(message);
+    const speaking = this.speaking?.messageId === message.id;
+    const speak = message.role === 'assistant' && typeof message.content === 'string' && message.content && window.speechSynthesis ? `
+          <button class="message-action ${speaking ? 'active' : ''}" data-msg-action="speak" title="${speaking ? 'Stop reading' : 'Read aloud'}"><i class="fas ${speaking ? 'fa-stop' : 'fa-volume-up'}"></i></button>` : '';
+    const reply = message.role === 'assistant' ? `${speak}
+          <button class="message-action" data-msg-action="regenerate" title="Regenerate"><i class="fas fa-rotate-right"></i></button>
+          <button class="message-action" data-msg-action="compare" title="Regenerate with other models / compare"><i class="fas fa-columns"></i></button>` : '';
+    return `
+        <div class="message-actions">${reply}
+          <button class="message-action ${message.bookmarked ? 'bookmarked' : ''}" data-msg-action="bookmark" title="${message.bookmarked ? 'Remove bookmark' : 'Bookmark'}"><i class="${message.bookmarked ? 'fas' : 'far'} fa-bookmark"></i></button>
+        </div>${this.renderBranchNav(message)}`;
+  }
+
+  /** "< 2/3 >" switcher for a message that has sibling branches. */
+  renderBranchNav(message) {
+    const conv = this.state.conversations.get(this.state.currentConversationId);
+    if (!conv?.branches?.length || message.streaming) return '';
+    const siblings = this.getSiblings(conv, message);
+    if (siblings.length < 2) return '';
+    const index = siblings.indexOf(message);
+    return `
+      <div class="branch-nav">
+        <button class="message-action" data-msg-action="branch-prev" title="Previous branch" ${index === 0 ? 'disabled' : ''}><i class="fas fa-chevron-left"></i></button>
+        <span class="branch-count">${index + 1}/${siblings.length}</span>
+        <button class="message-action" data-msg-action="branch-next" title="Next branch" ${index === siblings.length - 1 ? 'disabled' : ''}><i class="fas fa-chevron-right"></i></button>
+      </div>`;
+  }
+
+  renderToolCalls(toolCalls) {
+    return `<div class="tool-calls">${toolCalls.map(tc => {
+      let args = tc.function?.arguments || '';
+      try { args = JSON.stringify(JSON.parse(args), null, 2); } catch (_) {}
+      return `
+        <details class="tool-call">
+          <summary><i class="fas fa-wrench"></i> ${this.escapeHtml(tc.function?.name || 'tool')}</summary>
+          <pre><code class="language-json">${this.escapeHtml(args)}</code></pre>
+        </details>`;
+    }).join('')}</div>`;
+  }
+
+  // =========================
+  // ======= BRANCHES ========
+  // =========================
+  /**
+   * A conversation is a message tree: every message points at the one before
+   * it via `parentId` (null for the first). `conversation.messages` is the
+   * active path, which is all the agent loop, context building and export
+   * ever see; messages on other branches wait in `conversation.branches`.
+   * `branchSelection` remembers the last child shown under each parent so
+   * switching back restores the deeper path too.
+   */
+  getMessageTree(conversation) {
+    return [...(conversation?.messages || []), ...(conversation?.branches || [])];
+  }
+
+  /** Gives pre-branching conversations their parent links from message order. */
+  linkMessagePath(conversation) {
+    (conversation.messages || []).forEach((m, i) => {
+      if (m.parentId === undefined) m.parentId = i ? conversation.messages[i - 1].id : null;
+    });
+  }
+
+  /** Messages sharing `message`'s parent, oldest first (includes `message`). */
+  getSiblings(conversation, message) {
+    return this.getMessageTree(conversation)
+      .filter(m => m.parentId === message.parentId)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /** Path from `message` down to a leaf, following the remembered (else newest) child. */
+  collectBranchPath(conversation, message) {
+    const tree = this.getMessageTree(conversation);
+    const selection = conversation.branchSelection || {};
+    const path = [message];
+    for (let node = message; ;) {
+      const children = tree.filter(m => m.parentId === node.id);
+      if (!children.length) break;
+      node = children.find(m => m.id === selection[node.id]) || children.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+      path.push(node);
+    }
+    return path;
+  }
+
+  setActivePath(conversation, path) {
+    const onPath = new Set(path.map(m => m.id));
+    const tree = this.getMessageTree(conversation);
+    const selection = conversation.branchSelection || (conversation.branchSelection = {});
+    // Remember the path being left as well, so its own deeper choices survive a round trip
+    [...conversation.messages, ...path].forEach(m => { selection[m.parentId ?? 'root'] = m.id; });
+    conversation.messages = path;
+    conversation.branches = tree.filter(m => !onPath.has(m.id));
+    this.scheduleConversationSave(conversation.id);
+    if (conversation.id === this.state.currentConversationId) this.loadConversation(conversation.id);
+  }
+
+  isConversationBusy(conversationId) {
+    return this.state.isProcessing && this.currentRun?.conversationId === conversationId;
+  }
+
+  /** Shows the sibling `offset` steps away from `messageId` (the "< 1/3 >" arrows). */
+  switchBranch(conversationId, messageId, offset) {
+    const conv = this.state.conversations.get(conversationId);
+    const msg = conv?.messages.find(m => m.id === messageId);
+    if (!msg) return;
+    if (this.isConversationBusy(conversationId)) return this.showToast('warning', 'Busy', 'Wait for the current run to finish before switching branches.');
+    const siblings = this.getSiblings(conv, msg);
+    const target = siblings[siblings.indexOf(msg) + offset];
+    if (!target) return;
+    const index = conv.messages.indexOf(msg);
+    this.setActivePath(conv, [...conv.messages.slice(0, index), ...this.collectBranchPath(conv, target)]);
+  }
+
+  /** Root-to-leaf path that runs through `message` (wherever it sits in the tree). */
+  getPathTo(conversation, message) {
+    const byId = new Map(this.getMessageTree(conversation).map(m => [m.id, m]));
+    const ancestors = [];
+    for (let node = byId.get(message.parentId); node; node = byId.get(node.parentId)) ancestors.unshift(node);
+    return [...ancestors, ...this.collectBranchPath(conversation, message)];
+  }
+
+  /** Inserts a message into the active path before `index`, keeping the parent links intact. */
+  insertPathMessage(conversation, message, index = conversation.messages.length) {
+    const next = conversation.messages[index];
+    const parentId = index ? conversation.messages[index - 1].id : null;
+    message.parentId = parentId;
+    if (next) {
+      // Everything that hung off the old parent (the next message and its siblings) now follows `message`
+      this.getMessageTree(conversation).forEach(m => { if (m.parentId === parentId) m.parentId = message.id; });
+    }
+    conversation.messages.splice(index, 0, message);
+  }
+
+  /** Removes one message from the active path; its children move up to its parent. */
+  removePathMessage(conversation, messageId) {
+    const msg = conversation.messages.find(m => m.id === messageId);
+    if (!msg) return;
+    conversation.messages = conversation.messages.filter(m => m !== msg);
+    (conversation.branches || []).concat(conversation.messages).forEach(m => {
+      if (m.parentId === msg.id) m.parentId = msg.parentId;
+    });
+  }
+
+  /** Swaps a user message's bubble for an inline editor. */
+  startEditMessage(messageId) {
+    const conv = this.state.conversations.get(this.state.currentConversationId);
+    const msg = conv?.messages.find(m => m.id === messageId);
+    const contentEl = this.elements.messages?.querySelector(`.message[data-message-id="${messageId}"] .message-content`);
+    if (!msg || !contentEl) return;
+    if (msg.role !== 'user' || typeof msg.content !== 'string') {
+      return this.showToast('warning', 'Edit Not Supported', 'Only your own text messages can be edited.');
+    }
+    contentEl.innerHTML = `
+      <textarea class="message-edit-input" rows="3">${this.escapeHtml(msg.content)}</textarea>
+      <div class="message-edit-actions">
+        <button class="chart-action" data-msg-action="edit-cancel">Cancel</button>
+        <button class="chart-action" data-msg-action="edit-save"><i class="fas fa-code-branch"></i> Save &amp; submit</button>
+      </div>`;
+    const input = contentEl.querySelector('textarea');
+    input.style.height = `${input.scrollHeight}px`;
+    input.focus();
+  }
+
+  /**
+   * Edits a past user message by branching: the edited text becomes a new
+   * sibling of the original and the agent runs again from there. The original
+   * branch stays reachable through the header arrows.
+   */
+  async branchFromEdit(conversationId, messageId, content) {
+    const conv = this.state.conversations.get(conversationId);
+    const msg = conv?.messages.find(m => m.id === messageId);
+    if (!msg || !content.trim()) return;
+    if (this.state.isProcessing) return this.showToast('warning', 'Busy', 'Wait for the current run to finish before editing.');
+    if (content.trim() === msg.content.trim()) return this.loadConversation(conversationId);
+
+    const index = conv.messages.indexOf(msg);
+    this.setActivePath(conv, conv.messages.slice(0, index));
+    this.startRun(conversationId);
+    this.addMessage('user', content.trim(), conversationId, msg.images?.length ? { images: msg.images } : {});
+    await this.runAgent(conversationId);
+  }
+
+  // =========================
+  // == REGENERATE & COMPARE =
+  // =========================
+  /** The user turn an assistant message answers (nearest user message above it on the active path). */
+  findPrecedingUserMessage(conversation, message) {
+    const index = conversation.messages.indexOf(message);
+    for (let i = index - 1; i >= 0; i--) {
+      const m = conversation.messages[i];
+      if (m.role === 'user' && !m.uiOnly) return m;
+    }
+    return null;
+  }
+
+  /**
+   * Re-runs the turn that produced `messageId` from its user message, with the
+   * conversation's model or `model`. The new answer is a sibling branch of the
+   * old one, so both stay reachable.
+   */
+  async regenerateResponse(conversationId, messageId, { model } = {}) {
+    const conv = this.state.conversations.get(conversationId);
+    const msg = conv?.messages.find(m => m.id === messageId);
+    if (!msg) return;
+    if (this.state.isProcessing) return this.showToast('warning', 'Busy', 'Wait for the current run to finish first.');
+    const userMsg = this.findPrecedingUserMessage(conv, msg);
+    if (!userMsg) return this.showToast('warning', 'Nothing to Regenerate', 'This reply has no user message before it.');
+
+    this.setActivePath(conv, conv.messages.slice(0, conv.messages.indexOf(userMsg) + 1));
+    this.startRun(conversationId);
+    await this.runAgent(conversationId, { model });
+  }
+
+  /** Models offered in the compare dialog: the AI Pipe list when using AI Pipe, else the provider's own list. */
+  async listComparableModels() {
+    const { provider, apiKey, baseUrl } = this.state.settings.llm;
+    const adapter = this.getProvider(provider);
+    try {
+      const models = provider === 'aipipe'
+        ? await this.fetchAIpipeModels(apiKey, baseUrl || undefined)
+        : await adapter?.listModels?.({ apiKey, baseUrl });
+      if (models?.length) return models;
+    } catch (e) {
+      console.warn('Could not list models for comparison', e);
+    }
+    return adapter?.fallbackModels || [];
+  }
+
+  async openCompare(messageId) {
+    const conv = this.state.conversations.get(this.state.currentConversationId);
+    if (!conv?.messages.some(m => m.id === messageId)) return;
+    this.compareTarget = { conversationId: conv.id, messageId };
+    const list = document.getElementById('compare-models');
+    document.getElementById('compare-modal')?.classList.add('active');
+    if (!list) return;
+    list.innerHTML = '<p class="form-hint">Loading models…</p>';
+
+    const current = this.getConversationModel(conv);
+    const models = [...new Set([current, ...(await this.listComparableModels())])].filter(Boolean);
+    list.innerHTML = models.map(name => `
+      <label class="checkbox-label">
+        <input type="checkbox" data-compare-model="${this.escapeHtml(name)}" ${name === current ? 'checked' : ''} />
+        <span>${this.escapeHtml(name)}</span>
+      </label>`).join('');
+    this.updateCompareSelection();
+  }
+
+  /** Caps the selection at three models and labels the start button for what will happen. */
+  updateCompareSelection() {
+    const boxes = [...document.querySelectorAll('#compare-models input[data-compare-model]')];
+    const count = boxes.filter(cb => cb.checked).length;
+    boxes.forEach(cb => { cb.disabled = !cb.checked && count >= 3; });
+    const btn = document.getElementById('start-compare');
+    if (!btn) return;
+    btn.disabled = count === 0;
+    btn.innerHTML = count > 1
+      ? `<i class="fas fa-columns"></i> Compare ${count} models`
+      : '<i class="fas fa-rotate-right"></i> Regenerate';
+  }
+
+  startCompare() {
+    const models = [...document.querySelectorAll('#compare-models input[data-compare-model]:checked')].map(cb => cb.dataset.compareModel);
+    const target = this.compareTarget;
+    document.getElementById('compare-modal')?.classList.remove('active');
+    if (!target || !models.length) return;
+    if (models.length === 1) this.regenerateResponse(target.conversationId, target.messageId, { model: models[0] });
+    else this.compareModels(target.conversationId, target.messageId, models);
+  }
+
+  /**
+   * Sends the conversation up to the user message before `messageId` to each
+   * model in parallel and shows the answers side by side. Tools are not offered
+   * here, so every model answers from the conversation as it stands. Nothing
+   * joins the thread until one answer is kept with keepComparison().
+   */
+  async compareModels(conversationId, messageId, models) {
+    const conv = this.state.conversations.get(conversationId);
+    const msg = conv?.messages.find(m => m.id === messageId);
+    if (!msg) return;
+    if (this.state.isProcessing) return this.showToast('warning', 'Busy', 'Wait for the current run to finish first.');
+    const userMsg = this.findPrecedingUserMessage(conv, msg);
+    if (!userMsg) return this.showToast('warning', 'Nothing to Compare', 'This reply has no user message before it.');
+
+    // The calls run in parallel, so the per-call cap check would let all of them through at once
+    const { provider, apiKey } = this.state.settings.llm || {};
+    const adapter = this.getProvider(provider);
+    if (adapter && (apiKey || !adapter.requiresKey)) {
+      try {
+        this.checkSpendCap(adapter, models.join(', '), this.estimateComparisonCost(conv, models));
+      } catch (err) {
+        return this.showToast('error', err.title, err.message.replace(/\*\*/g, ''));
+      }
+    }
+
+    this.setActivePath(conv, conv.messages.slice(0, conv.messages.indexOf(userMsg) + 1));
+    this.startRun(conversationId);
+    const signal = this.currentRun.controller.signal;
+    const card = this.addMessage('assistant', '', conversationId, {
+      uiOnly: true,
+      comparison: models.map(model => ({ model, status: 'pending' }))
+    });
+    const refresh = () => {
+      if (conversationId === this.state.currentConversationId) this.updateMessageElement(card);
+    };
+
+    try {
+      const overrides = this.getPersonaOverrides(conv);
+      await Promise.all(card.comparison.map(async (entry) => {
+        const t0 = performance.now?.() || Date.now();
+        try {
+          // Each model gets a history sized for its own window; no tools are sent here
+          const messagesForApi = this.withPersonaPrompt(conv, await this.prepareContext(conv, { signal, model: entry.model, tools: [] }));
+          const response = await this.sendCompletion(messagesForApi, { ...overrides, model: entry.model, tools: [], signal, stream: false });
+          Object.assign(entry, {
+            status: 'done',
+            content: response?.content || '',
+            usage: response?.usage || null,
+            cost: response?.cost ?? null,
+            model: response?.model || entry.model
+          });
+        } catch (err) {
+          Object.assign(entry, { status: 'error', error: this.isAbortError(err) ? 'Stopped' : (err.message || String(err)) });
+        }
+        entry.latencyMs = Math.round((performance.now?.() || Date.now()) - t0);
+        this.state.performance.apiCalls = (this.state.performance.apiCalls || 0) + 1;
+        refresh();
+      }));
+    } catch (err) {
+      card.comparison.forEach(entry => {
+        if (entry.status === 'pending') Object.assign(entry, { status: 'error', error: this.isAbortError(err) ? 'Stopped' : (err.message || String(err)) });
+      });
+      refresh();
+    } finally {
+      this.finishRun();
+      this.updatePerformanceDisplay();
+      this.scheduleConversationSave(conversationId);
+    }
+  }
+
+  renderComparison(message) {
+    return `
+      <div class="compare-grid" style="--compare-columns:${message.comparison.length}">
+        ${message.comparison.map((entry, index) => {
+          const stats = [
+            entry.latencyMs != null ? `${(entry.latencyMs / 1000).toFixed(1)}s` : '',
+            entry.usage ? `${this.formatTokenCount(entry.usage.total_tokens || 0)} tok${entry.usage.estimated ? ' (est.)' : ''}` : '',
+            entry.usage ? this.formatCost(entry.cost) : ''
+          ].filter(Boolean).join(' · ');
+          let body = '<p class="form-hint"><i class="fas fa-spinner fa-spin"></i> Waiting…</p>';
+          if (entry.status === 'error') body = `<p class="compare-error">⚠️ ${this.escapeHtml(entry.error)}</p>`;
+          if (entry.status === 'done') body = this.renderMessageContent({ content: entry.content || '_(empty reply)_' });
+          return `
+            <div class="compare-column" data-compare-index="${index}">
+              <div class="compare-header">
+                <strong>${this.escapeHtml(entry.model)}</strong>
+                <span class="compare-stats">${this.escapeHtml(stats)}</span>
+              </div>
+              <div class="compare-body">${body}</div>
+              ${entry.status === 'done' && entry.content ? '<button class="chart-action" data-msg-action="compare-keep"><i class="fas fa-check"></i> Keep this answer</button>' : ''}
+            </div>`;
+        }).join('')}
+      </div>`;
+  }
+
+  /** Replaces the comparison card with the chosen answer as a normal assistant reply. */
+  keepComparison(conversationId, messageId, index) {
+    const conv = this.state.conversations.get(conversationId);
+    const card = conv?.messages.find(m => m.id === messageId);
+    const entry = card?.comparison?.[index];
+    if (!entry || entry.status !== 'done') return;
+    if (this.isConversationBusy(conversationId)) return this.showToast('warning', 'Busy', 'Wait for all models to finish first.');
+    this.removePathMessage(conv, messageId);
+    this.addMessage('assistant', entry.content, conversationId, {
+      model: entry.model,
+      ...(entry.usage ? { usage: entry.usage, cost: entry.cost } : {})
+    });
+    if (conversationId === this.state.currentConversationId) this.loadConversation(conversationId);
+    this.saveCurrentConversation();
+  }
+
+  // =========================
+  // == SEARCH & BOOKMARKS ===
+  // =========================
+  /** Current sidebar filter values; empty fields mean "any". */
+  getSearchFilters() {
+    const val = (id) => document.getElementById(id)?.value || '';
+    const from = val('search-from') ? new Date(`${val('search-from')}T00:00:00`).getTime() : null;
+    const to = val('search-to') ? new Date(`${val('search-to')}T23:59:59.999`).getTime() : null;
+    return {
+      role: val('search-role'),
+      model: val('search-model'),
+      from,
+      to,
+      bookmarkedOnly: !!document.getElementById('search-bookmarked')?.checked
+    };
+  }
+
+  messageSearchText(message) {
+    if (typeof message.content === 'string') return message.content;
+    return message.content == null ? '' : JSON.stringify(message.content);
+  }
+
+  /**
+   * Searches message text in every conversation, on every branch. All
+   * whitespace-separated terms must appear (case-insensitive). Results are
+   * newest first, capped at `limit`.
+   */
+  searchMessages(query, filters = {}, limit = 100) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const results = [];
+    this.state.conversations.forEach(conv => {
+      this.getMessageTree(conv).forEach(message => {
+        if (message.uiOnly || message.streaming) return;
+        if (filters.role && message.role !== filters.role) return;
+        if (filters.model && message.model !== filters.model) return;
+        if (filters.bookmarkedOnly && !message.bookmarked) return;
+        if (filters.from && message.timestamp < filters.from) return;
+        if (filters.to && message.timestamp > filters.to) return;
+        const text = this.messageSearchText(message);
+        const lower = text.toLowerCase();
+        if (!terms.every(t => lower.includes(t))) return;
+        results.push({ conversation: conv, message, text, terms });
+      });
+    });
+    return results.sort((a, b) => b.message.timestamp - a.message.timestamp).slice(0, limit);
+  }
+
+  /** Escaped excerpt around the first matching term, with every term wrapped in <mark>. */
+  makeSnippet(text, terms, radius = 60) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    const lower = flat.toLowerCase();
+    const first = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i >= 0));
+    const start = Number.isFinite(first) ? Math.max(0, first - radius) : 0;
+    const end = Math.min(flat.length, (Number.isFinite(first) ? first : 0) + radius * 2);
+    const excerpt = flat.slice(start, end);
+    // Split on the terms before escaping so a term can never land inside an entity
+    const pattern = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    const snippet = (pattern ? excerpt.split(new RegExp(`(${pattern})`, 'gi')) : [excerpt])
+      .map((part, i) => (i % 2 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)))
+      .join('');
+    return `${start > 0 ? '…' : ''}${snippet}${end < flat.length ? '…' : ''}`;
+  }
+
+  renderMessageHit({ conversation, message, text, terms }) {
+    const role = { user: 'You', assistant: message.model || 'Assistant', system: 'System', tool: `Tool · ${message.name || ''}` }[message.role] || message.role;
+    return `
+      <div class="conversation-item search-hit" data-conversation-id="${this.escapeHtml(conversation.id)}" data-message-id="${this.escapeHtml(message.id)}">
+        <div class="conversation-title">${this.escapeHtml(conversation.title || 'Conversation')}</div>
+        <div class="search-snippet">${this.makeSnippet(text, terms) || '<em>(no text)</em>'}</div>
+        <div class="conversation-time">${this.escapeHtml(role)} · ${new Date(message.timestamp).toLocaleString()}${message.bookmarked ? ' · <i class="fas fa-bookmark"></i>' : ''}</div>
+      </div>`;
+  }
+
+  /** Refreshes the sidebar: search results when a query or filter is set, else bookmarks or conversations. */
+  updateSidebarView() {
+    const query = document.getElementById('conversation-search')?.value.trim() || '';
+    const filters = this.getSearchFilters();
+    const filtering = !!(query || filters.role || filters.model || filters.from || filters.to || filters.bookmarkedOnly);
+    const showBookmarks = this.sidebarView === 'bookmarks' && !filtering;
+    const resultsEl = document.getElementById('search-results');
+    const bookmarksEl = document.getElementById('bookmark-list');
+    if (this.elements.conversationList) this.elements.conversationList.hidden = filtering || showBookmarks;
+    document.querySelectorAll('.sidebar-view-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.view === (this.sidebarView || 'conversations')));
+
+    if (resultsEl) {
+      resultsEl.hidden = !filtering;
+      if (filtering) {
+        const hits = this.searchMessages(query, filters);
+        resultsEl.innerHTML = `<div class="search-summary">${hits.length === 100 ? 'First 100' : hits.length} matching message${hits.length === 1 ? '' : 's'}</div>`
+          + hits.map(hit => this.renderMessageHit(hit)).join('');
+      }
+    }
+    if (bookmarksEl) {
+      bookmarksEl.hidden = !showBookmarks;
+      if (showBookmarks) {
+        const hits = this.searchMessages('', { bookmarkedOnly: true }, Infinity);
+        bookmarksEl.innerHTML = hits.length
+          ? hits.map(hit => this.renderMessageHit(hit)).join('')
+          : '<p class="search-summary">No bookmarks yet. Use the <i class="fas fa-bookmark"></i> button on a message to keep it here.</p>';
+      }
+    }
+  }
+
+  /** Lists every model that answered in any conversation in the model filter. */
+  renderSearchModelOptions() {
+    const select = document.getElementById('search-model');
+    if (!select) return;
+    const models = new Set();
+    this.state.conversations.forEach(conv => this.getMessageTree(conv).forEach(m => { if (m.model) models.add(m.model); }));
+    const current = select.value;
+    select.innerHTML = '<option value="">Any model</option>' + [...models].sort().map(m => `<option value="${this.escapeHtml(m)}">${this.escapeHtml(m)}</option>`).join('');
+    select.value = models.has(current) ? current : '';
+  }
+
+  toggleBookmark(conversationId, messageId) {
+    const conv = this.state.conversations.get(conversationId);
+    const msg = this.getMessageTree(conv).find(m => m.id === messageId);
+    if (!msg) return;
+    if (msg.bookmarked) delete msg.bookmarked;
+    else msg.bookmarked = true;
+    this.scheduleConversationSave(conversationId);
+    if (conversationId === this.state.currentConversationId) this.updateMessageElement(msg);
+    this.updateSidebarView();
+    this.showToast('success', msg.bookmarked ? 'Bookmarked' : 'Bookmark Removed', msg.bookmarked ? 'Find it under Bookmarks in the sidebar.' : '');
+  }
+
+  /** Opens a conversation at `messageId`, switching to its branch if needed, and flashes it. */
+  jumpToMessage(conversationId, messageId) {
+    const conv = this.state.conversations.get(conversationId);
+    const msg = this.getMessageTree(conv).find(m => m.id === messageId);
+    if (!msg) return;
+    if (!conv.messages.includes(msg)) {
+      if (this.isConversationBusy(conversationId)) return this.showToast('warning', 'Busy', 'Wait for the current run to finish before switching branches.');
+      this.setActivePath(conv, this.getPathTo(conv, msg));
+    }
+    if (conversationId !== this.state.currentConversationId || !this.elements.messages?.querySelector(`.message[data-message-id="${messageId}"]`)) {
+      this.loadConversation(conversationId);
+    }
+    const el = this.elements.messages?.querySelector(`.message[data-message-id="${messageId}"]`);
+    if (!el) return;
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.classList.add('flash');
+    setTimeout(() => el.classList.remove('flash'), 2000);
+  }
+
+  // =========================
+  // ===== CONVERSATIONS =====
+  // =========================
+  /** Starts an empty conversation with `personaId` (default: Settings → Personas default) and opens it. */
+  createNewConversation(personaId) {
+    const id = `conv_${Date.now()}`;
+    const persona = this.getPersona(personaId) || this.getPersona(this.state.settings.defaultPersonaId);
+    const convObj = { id, title: 'New Conversation', messages: [], createdAt: Date.now(), updatedAt: Date.now(), preview: '...' };
+    if (persona) convObj.persona = { ...persona };
+    this.state.conversations.set(id, convObj);
+    this.loadConversation(id);
+    return id;
+  }
+
+  loadConversation(id) {
+    if (!id) return;
+    this.state.currentConversationId = id;
+    const conversation = this.state.conversations.get(id);
+    if (!this.elements.messages) return;
+
+    this.elements.messages.innerHTML = '';
+    if (conversation && conversation.messages && conversation.messages.length) {
+      this.hideWelcomeScreen();
+      conversation.messages.forEach(msg => this.displayMessage(msg));
+    } else {
+      this.showWelcomeScreen();
+    }
+    this.updateConversationList();
+    this.updateChatHeader();
+  }
+
+  clearConversationMessages() {
+    if (!this.state.currentConversationId) return;
+    if (!confirm('Clear all messages in this conversation?')) return;
+    const conv = this.state.conversations.get(this.state.currentConversationId);
+    if (!conv) return;
+    conv.messages = [];
+    conv.branches = [];
+    conv.branchSelection = {};
+    conv.preview = 'Cleared';
+    conv.updatedAt = Date.now();
+    this.loadConversation(this.state.currentConversationId);
+    this.saveCurrentConversation();
+  }
+
+  async loadConversationHistory() {
+    try {
+      const db = await this.openDatabase();
+      if (db) {
+        await this.migrateLocalStorageConversations(db);
+        this.state.conversations = await this.readConversationsFromDb(db);
+      } else {
+        this.state.conversations = this.readConversationsFromLocalStorage();
+      }
+      Array.from(this.state.conversations.values()).forEach(conv => {
+        conv.updatedAt = conv.updatedAt || conv.createdAt || Date.now();
+        conv.messages = conv.messages || [];
+        this.linkMessagePath(conv);
+      });
+      await this.enforceHistoryLimit();
+      const recent = Array.from(this.state.conversations.values()).sort((a, b) => b.updatedAt - a.updatedAt)[0];
+      if (recent) this.loadConversation(recent.id); else this.createNewConversation();
+    } catch (e) {
+      console.warn('Could not load conversation history, starting fresh.', e);
+      this.state.conversations = new Map();
+      this.createNewConversation();
+    }
+  }
+
+  /** Queues the current conversation (plus anything else touched since the last save) for writing. */
+  saveCurrentConversation() {
+    if (this.state.currentConversationId) this.dirtyConversations.add(this.state.currentConversationId);
+    if (!this.state.settings.advanced.autoSave) return Promise.resolve();
+    this.saveQueue = this.saveQueue
+      .then(() => this.writeDirtyConversations())
+      .then(() => this.enforceHistoryLimit())
+      .catch(e => console.warn('Could not save conversation', e));
+    return this.saveQueue;
+  }
+
+  /** Debounced save for a conversation that changed outside the current view (e.g. a message landed). */
+  scheduleConversationSave(conversationId) {
+    if (!conversationId) return;
+    this.dirtyConversations.add(conversationId);
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.saveCurrentConversation(), 300);
+  }
+
+  deleteConversation(id) {
+    if (!this.state.conversations.has(id)) return;
+    this.state.conversations.delete(id);
+    this.dirtyConversations.delete(id);
+    this.saveQueue = this.saveQueue
+      .then(() => this.deleteConversationsFromStore([id]))
+      .catch(e => console.warn('Could not delete conversation', e));
+    if (id === this.state.currentConversationId) {
+      const rest = Array.from(this.state.conversations.values()).sort((a, b) => b.updatedAt - a.updatedAt)[0];
+      if (rest) this.loadConversation(rest.id); else this.createNewConversation();
+    }
+    this.updateConversationList();
+  }
+
+  /** Drops the least recently updated conversations beyond `advanced.maxHistory` (never the open one). */
+  async enforceHistoryLimit() {
+    const limit = parseInt(this.state.settings.advanced.maxHistory, 10);
+    if (!limit || this.state.conversations.size <= limit) return;
+    const excess = Array.from(this.state.conversations.values())
+      .filter(c => c.id !== this.state.currentConversationId)
+      .sort((a, b) => a.updatedAt - b.updatedAt)
+      .slice(0, this.state.conversations.size - limit)
+      .map(c => c.id);
+    excess.forEach(id => { this.state.conversations.delete(id); this.dirtyConversations.delete(id); });
+    await this.deleteConversationsFromStore(excess);
+    this.updateConversationList();
+  }
+
+  // =========================
+  // ===== STORAGE (IDB) =====
+  // =========================
+  /**
+   * Conversations live in IndexedDB: one `conversations` record per conversation
+   * (metadata and files, no messages) and one `messages` record per message,
+   * indexed by conversationId. Active-path messages are ordered by `position`;
+   * messages on inactive branches carry `branch: true` instead, since only
+   * their parent links matter. Only conversations
+   * marked dirty are written, and within them only messages whose content or
+   * position changed. Resolves to null when IndexedDB is unavailable, in which
+   * case the legacy localStorage key is used instead.
+   */
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
+    this.dbPromise = new Promise((resolve) => {
+      if (!window.indexedDB) return resolve(null);
+      let req;
+      try { req = indexedDB.open(this.storage.dbName, this.storage.version); } catch (e) { return resolve(null); }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('conversations')) db.createObjectStore('conversations', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('messages')) {
+          db.createObjectStore('messages', { keyPath: 'id' }).createIndex('conversationId', 'conversationId');
+        }
+        if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      req.onerror = () => {
+        console.warn('IndexedDB unavailable, falling back to localStorage', req.error);
+        resolve(null);
+      };
+      req.onblocked = () => console.warn('IndexedDB upgrade blocked by another open tab');
+    });
+    return this.dbPromise;
+  }
+
+  idbRequest(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /** Runs `work(tx)` in one transaction and resolves once it commits. */
+  idbTransaction(db, storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+      try { result = work(tx); } catch (e) { tx.abort(); reject(e); }
+    });
+  }
+
+  /** Copies the old single-key localStorage history into IndexedDB once, then frees the key. */
+  async migrateLocalStorageConversations(db) {
+    const done = await this.idbTransaction(db, ['meta'], 'readonly', tx => this.idbRequest(tx.objectStore('meta').get('localStorageMigration')));
+    if (done || !localStorage.getItem('agentflow_conversations')) return;
+    const conversations = this.readConversationsFromLocalStorage();
+    await this.idbTransaction(db, ['conversations', 'messages', 'meta'], 'readwrite', tx => {
+      conversations.forEach(conv => {
+        const { messages = [], branches = [], ...meta } = conv;
+        tx.objectStore('conversations').put(meta);
+        messages.forEach((m, position) => tx.objectStore('messages').put({ ...m, conversationId: conv.id, position }));
+        branches.forEach(m => tx.objectStore('messages').put({ ...m, conversationId: conv.id, branch: true }));
+      });
+      tx.objectStore('meta').put({ key: 'localStorageMigration', at: Date.now(), conversations: conversations.size });
+    });
+    localStorage.removeItem('agentflow_conversations');
+  }
+
+  readConversationsFromLocalStorage() {
+    const stored = localStorage.getItem('agentflow_conversations');
+    if (!stored) return new Map();
+    const parsed = JSON.parse(stored);
+    let entries = [];
+    if (Array.isArray(parsed)) entries = parsed;
+    else if (typeof parsed === 'object') entries = Object.entries(parsed);
+    return new Map(entries.map(([k, v]) => [k, v]));
+  }
+
+  async readConversationsFromDb(db) {
+    const [metas, records] = await this.idbTransaction(db, ['conversations', 'messages'], 'readonly', tx => Promise.all([
+      this.idbRequest(tx.objectStore('conversations').getAll()),
+      this.idbRequest(tx.objectStore('messages').getAll())
+    ]));
+    // Older records kept inactive branches on the meta record; they move to `messages` on the next save
+    const conversations = new Map(metas.map(meta => [meta.id, { ...meta, messages: [], branches: meta.branches || [] }]));
+    records.forEach(({ conversationId, position, branch, ...message }) => {
+      const conv = conversations.get(conversationId);
+      if (!conv) return;
+      if (branch) conv.branches.push(message); else conv.messages[position] = message;
+      this.persistedMessages.set(message.id, this.messageSignature(message, branch ? 'branch' : position));
+    });
+    conversations.forEach(conv => { conv.messages = conv.messages.filter(Boolean); });
+    return conversations;
+  }
+
+  /** `position` is the index on the active path, or 'branch' for a message on an inactive branch. */
+  messageSignature(message, position) { return `${position}:${JSON.stringify(message)}`; }
+
+  async writeDirtyConversations() {
+    const ids = Array.from(this.dirtyConversations);
+    this.dirtyConversations.clear();
+    const db = await this.openDatabase();
+    if (!db) {
+      localStorage.setItem('agentflow_conversations', JSON.stringify(Array.from(this.state.conversations.entries())));
+      return;
+    }
+    const conversations = ids.map(id => this.state.conversations.get(id)).filter(Boolean);
+    if (!conversations.length) return;
+
+    const written = [];
+    await this.idbTransaction(db, ['conversations', 'messages'], 'readwrite', tx => {
+      const messageStore = tx.objectStore('messages');
+      conversations.forEach(conv => {
+        const { messages = [], branches = [], ...meta } = conv;
+        tx.objectStore('conversations').put(meta);
+        const liveIds = new Set();
+        const write = (message, position) => {
+          liveIds.add(message.id);
+          if (message.streaming) return; // written once the reply is complete
+          const signature = this.messageSignature(message, position);
+          if (this.persistedMessages.get(message.id) === signature) return;
+          const placement = position === 'branch' ? { branch: true } : { position };
+          messageStore.put({ ...message, conversationId: conv.id, ...placement });
+          written.push([message.id, signature]);
+        };
+        messages.forEach(write);
+        branches.forEach(message => write(message, 'branch'));
+        // Messages deleted or cleared since the last save
+        const cursorReq = messageStore.index('conversationId').openKeyCursor(IDBKeyRange.only(conv.id));
+        cursorReq.onsuccess = () => {
+          const cursor = cursorReq.result;
+          if (!cursor) return;
+          if (!liveIds.has(cursor.primaryKey)) {
+            messageStore.delete(cursor.primaryKey);
+            this.persistedMessages.delete(cursor.primaryKey);
+          }
+          cursor.continue();
+        };
+      });
+    });
+    written.forEach(([id, signature]) => this.persistedMessages.set(id, signature));
+  }
+
+  async deleteConversationsFromStore(ids) {
+    if (!ids.length) return;
+    const db = await this.openDatabase();
+    if (!db) {
+      localStorage.setItem('agentflow_conversations', JSON.stringify(Array.from(this.state.conversations.entries())));
+      return;
+    }
+    await this.idbTransaction(db, ['conversations', 'messages'], 'readwrite', tx => {
+      const messageStore = tx.objectStore('messages');
+      ids.forEach(id => {
+        tx.objectStore('conversations').delete(id);
+        const cursorReq = messageStore.index('conversationId').openKeyCursor(IDBKeyRange.only(id));
+        cursorReq.onsuccess = () => {
+          const cursor = cursorReq.result;
+          if (!cursor) return;
+          messageStore.delete(cursor.primaryKey);
+          this.persistedMessages.delete(cursor.primaryKey);
+          cursor.continue();
+        };
+      });
+    });
+  }
+
+  async deleteDatabase() {
+    const db = await this.openDatabase();
+    db?.close();
+    this.dbPromise = null;
+    if (!window.indexedDB) return;
+    await new Promise((resolve) => {
+      const req = indexedDB.deleteDatabase(this.storage.dbName);
+      req.onsuccess = req.onerror = req.onblocked = () => resolve();
+    });
+  }
+
+  // =========================
+  // ======= SETTINGS ========
+  // =========================
+  openSettings() {
+    this.populateSettingsForm();
+    this.elements.settingsModal?.classList.add('active');
+  }
+  closeSettings() { this.elements.settingsModal?.classList.remove('active'); }
+
+  populateSettingsForm() {
+    const s = this.state.settings || this.getDefaultSettings();
+    const provEl = document.getElementById('llm-provider');
+    const apiKeyEl = document.getElementById('api-key');
+    const maxTokensEl = document.getElementById('max-tokens');
+    const tempEl = document.getElementById('temperature');
+    const baseUrlEl = document.getElementById('base-url');
+
+    if (provEl) provEl.value = this.getProvider(s.llm.provider) ? s.llm.provider : 'aipipe';
+    if (apiKeyEl) apiKeyEl.value = s.llm.apiKey || '';
+    if (maxTokensEl) maxTokensEl.value = s.llm.maxTokens || 2000;
     if (tempEl) tempEl.value = s.llm.temperature || 0.7;
-    if (baseUrlEl) baseUrlEl.value = s.llm.baseUrl || 'https://aipipe.org';
+    const streamEl = document.getElementById('stream-responses'); if (streamEl) streamEl.checked = s.llm.stream !== false;
+    if (baseUrlEl) baseUrlEl.value = s.llm.baseUrl || '';
+    this.updateProviderHints();
+
+    try { document.querySelector(`input[name="theme"][value="${s.ui.theme}"]`).checked = true; } catch (_) {}
+    const el = (id, v) => { const e = document.getElementById(id); if (e != null) e.checked = !!v; };
+    el('animations-enabled', s.ui.animationsEnabled);
+    el('sound-enabled', s.ui.soundEnabled);
+    const fs = document.getElementById('font-size'); if (fs) fs.value = s.ui.fontSize || 'medium';
+    el('voice-enabled', s.voice.enabled);
+    el('voice-output-enabled', s.voice.outputEnabled);
+    const vl = document.getElementById('voice-language'); if (vl) vl.value = s.voice.language || 'en-US';
+    const sr = document.getElementById('speech-rate'); if (sr) sr.value = s.voice.speechRate || 1.0;
+    el('auto-save', s.advanced.autoSave);
+    el('analytics-enabled', s.advanced.analyticsEnabled);
+    const mh = document.getElementById('max-history'); if (mh) mh.value = s.advanced.maxHistory || 100;
+    const cs = document.getElementById('context-strategy'); if (cs) cs.value = s.advanced.contextStrategy || 'summarize';
+    const cw = document.getElementById('context-window'); if (cw) cw.value = s.advanced.contextWindow || '';
+    [['max-turns', 'maxTurns'], ['max-tool-calls', 'maxToolCalls'], ['max-run-seconds', 'maxRunSeconds'], ['max-run-tokens', 'maxRunTokens']].forEach(([id, key]) => {
+      const e = document.getElementById(id); if (e) e.value = s.advanced[key] ?? 0;
+    });
+
+    const search = { ...this.getDefaultSettings().search, ...(s.search || {}) };
+    const setVal = (id, v) => { const e = document.getElementById(id); if (e) e.value = v ?? ''; };
+    setVal('search-backend', search.backend);
+    setVal('search-url', search.url);
+    setVal('search-api-key', search.apiKey);
+    setVal('search-cx', search.cx);
+    setVal('search-results-path', search.resultsPath);
+    setVal('search-title-field', search.titleField);
+    setVal('search-url-field', search.urlField);
+    setVal('search-snippet-field', search.snippetField);
+    this.updateSearchFields();
+    this.renderToolSettings();
+
+    const usage = { ...this.getDefaultSettings().usage, ...(s.usage || {}) };
+    setVal('daily-cap', usage.dailyCap || '');
+    setVal('session-cap', usage.sessionCap || '');
+    setVal('price-table', this.formatPriceTable(usage.prices));
+
+    this.populateVaultForm();
+
+    delete document.getElementById('default-persona')?.dataset.pending;
+    this.populatePersonaEditor();
+
+    this.updateModelOptions().catch(() => {});
+  }
+
+  updateSettingsFromForm() {
+    const s = this.state.settings || this.getDefaultSettings();
+    const provider = document.getElementById('llm-provider')?.value;
+    s.llm.provider = this.getProvider(provider) ? provider : s.llm.provider;
+    s.llm.apiKey = document.getElementById('api-key')?.value || s.llm.apiKey;
+    s.llm.model = document.getElementById('model-name')?.value || s.llm.model;
+    s.llm.maxTokens = parseInt(document.getElementById('max-tokens')?.value || s.llm.maxTokens, 10);
+    s.llm.temperature = parseFloat(document.getElementById('temperature')?.value || s.llm.temperature);
+    s.llm.stream = document.getElementById('stream-responses')?.checked ?? s.llm.stream;
+    s.llm.baseUrl = (document.getElementById('base-url')?.value ?? s.llm.baseUrl).trim();
+
+    s.ui.theme = document.querySelector('input[name="theme"]:checked')?.value || s.ui.theme;
+    s.ui.animationsEnabled = document.getElementById('animations-enabled')?.checked;
+    s.ui.soundEnabled = document.getElementById('sound-enabled')?.checked;
+    s.ui.fontSize = document.getElementById('font-size')?.value || s.ui.fontSize;
+
+    s.voice.enabled = document.getElementById('voice-enabled')?.checked;
+    s.voice.outputEnabled = document.getElementById('voice-output-enabled')?.checked;
+    s.voice.language = document.getElementById('voice-language')?.value || s.voice.language;
+    s.voice.speechRate = parseFloat(document.getElementById('speech-rate')?.value || s.voice.speechRate);
+
+    s.advanced.autoSave = document.getElementById('auto-save')?.checked;
+    s.advanced.analyticsEnabled = document.getElementById('analytics-enabled')?.checked;
+    s.advanced.maxHistory = parseInt(document.getElementById('max-history')?.value || s.advanced.maxHistory, 10);
+    s.advanced.contextStrategy = document.getElementById('context-strategy')?.value || s.advanced.contextStrategy;
+    s.advanced.contextWindow = Math.max(parseInt(document.getElementById('context-window')?.value, 10) || 0, 0);
+    [['max-turns', 'maxTurns'], ['max-tool-calls', 'maxToolCalls'], ['max-run-seconds', 'maxRunSeconds'], ['max-run-tokens', 'maxRunTokens']].forEach(([id, key]) => {
+      const value = parseInt(document.getElementById(id)?.value, 10);
+      if (Number.isFinite(value) && value >= 0) s.advanced[key] = value;
+    });
+
+    const val = (id, fallback) => { const e = document.getElementById(id); return e ? e.value.trim() : fallback; };
+    const search = s.search || (s.search = this.getDefaultSettings().search);
+    search.backend = val('search-backend', search.backend) || 'searxng';
+    search.url = val('search-url', search.url);
+    search.apiKey = val('search-api-key', search.apiKey);
+    search.cx = val('search-cx', search.cx);
+    search.resultsPath = val('search-results-path', search.resultsPath);
+    search.titleField = val('search-title-field', search.titleField) || 'title';
+    search.urlField = val('search-url-field', search.urlField) || 'url';
+    search.snippetField = val('search-snippet-field', search.snippetField) || 'snippet';
+
+    if (this.personaDraft) {
+      this.readPersonaEditor();
+      s.personas = this.personaDraft.map(p => ({ ...p }));
+      s.defaultPersonaId = document.getElementById('default-persona')?.value || s.personas[0].id;
+    }
+
+    const usage = s.usage || (s.usage = this.getDefaultSettings().usage);
+    usage.dailyCap = Math.max(parseFloat(val('daily-cap', usage.dailyCap)) || 0, 0);
+    usage.sessionCap = Math.max(parseFloat(val('session-cap', usage.sessionCap)) || 0, 0);
+    const priceEl = document.getElementById('price-table');
+    if (priceEl) usage.prices = this.parsePriceTable(priceEl.value);
+
+    const tools = s.tools || (s.tools = this.getDefaultSettings().tools);
+    document.querySelectorAll('#tools-list input[data-tool-name]').forEach(cb => { tools.enabled[cb.dataset.toolName] = cb.checked; });
+    tools.policies = tools.policies || {};
+    // Only overrides are stored, so a tool keeps following its registered default
+    document.querySelectorAll('#tools-list select[data-tool-policy]').forEach(sel => {
+      const name = sel.dataset.toolPolicy;
+      if (sel.value === (this.toolRegistry.get(name)?.options.approval || 'auto')) delete tools.policies[name];
+      else tools.policies[name] = sel.value;
+    });
+
+    this.state.settings = s;
+  }
+
+  async saveAndApplySettings() {
+    try {
+      const vaultForm = this.readVaultForm();
+      this.updateSettingsFromForm();
+      await this.applyVaultForm(vaultForm);
+      this.applySettings();
+      await this.persistSettings();
+      this.enforceHistoryLimit().catch(e => console.warn('Could not trim conversation history', e));
+      this.renderPersonaOptions();
+      this.updateContextMeter();
+      this.updatePerformanceDisplay();
+      this.showToast('success', 'Settings Saved', 'Your settings have been updated.');
+      this.closeSettings();
+    } catch (e) {
+      this.showToast('error', 'Save Failed', e.message || 'Could not save settings');
+    }
+  }
+
+  applySettings() {
+    try {
+      this.updateTheme();
+      const font = { 'small': '0.875rem', 'medium': '1rem', 'large': '1.125rem' }[this.state.settings.ui.fontSize] || '1rem';
+      document.documentElement.style.setProperty('--font-size-base', font);
+    } catch (_) {}
+  }
+
+  async loadSettings() {
+    try {
+      const stored = localStorage.getItem('agentflow_settings');
+      if (stored) this.state.settings = this.mergeSettings(JSON.parse(stored));
+    } catch (e) {
+      console.warn('Could not load settings, using defaults', e);
+    }
+  }
+
+  /** Stored or imported settings laid over the defaults, section by section. */
+  mergeSettings(loaded) {
+    return {
+      ...this.getDefaultSettings(),
+      ...loaded,
+      llm: { ...this.getDefaultSettings().llm, ...(loaded.llm || {}) },
+      ui: { ...this.getDefaultSettings().ui, ...(loaded.ui || {}) },
+      voice: { ...this.getDefaultSettings().voice, ...(loaded.voice || {}) },
+      advanced: { ...this.getDefaultSettings().advanced, ...(loaded.advanced || {}) },
+      tools: { enabled: { ...(loaded.tools?.enabled || {}) }, policies: { ...(loaded.tools?.policies || {}) } },
+      usage: { ...this.getDefaultSettings().usage, ...(loaded.usage || {}) },
+      personas: Array.isArray(loaded.personas) && loaded.personas.length ? loaded.personas : this.getDefaultPersonas(),
+      search: { ...this.getDefaultSettings().search, ...(loaded.search || {}) }
+    };
+  }
+
+  async clearAllData() {
+    if (confirm('DANGER: This will delete ALL data and settings. Continue?')) {
+      localStorage.clear();
+      await this.deleteDatabase();
+      window.location.reload();
+    }
+  }
+
+  // =========================
+  // ========= VAULT =========
+  // =========================
+  /**
+   * Vault mode keeps API keys out of localStorage in the clear. The keys are
+   * encrypted with AES-GCM under a key derived from the user's passphrase
+   * (PBKDF2-SHA-256) and stored as `settings.vault`; the stored copy of the
+   * settings always has empty key fields. Once unlocked, the plain keys live
+   * only in memory (at their usual settings paths) until the page closes or
+   * the vault auto-locks after `vault.autoLockMinutes` of inactivity.
+   */
+  isVaultLocked() {
+    return !!this.state.settings.vault && !this.vaultKey;
+  }
+
+  async deriveVaultKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /** Sets a new passphrase: fresh salt and key; the secrets are sealed on the next persistSettings(). */
+  async setVaultPassphrase(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iterations = this.vaultIterations;
+    this.vaultKey = await this.deriveVaultKey(passphrase, salt, iterations);
+    this.state.settings.vault = {
+      version: 1,
+      iterations,
+      salt: this.base64UrlEncode(salt),
+      autoLockMinutes: this.state.settings.vault?.autoLockMinutes ?? 15
+    };
+  }
+
+  async sealVault() {
+    const vault = this.state.settings.vault;
+    const secrets = { llm: this.state.settings.llm.apiKey || '', search: this.state.settings.search?.apiKey || '' };
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.vaultKey, new TextEncoder().encode(JSON.stringify(secrets)));
+    vault.iv = this.base64UrlEncode(iv);
+    vault.ciphertext = this.base64UrlEncode(new Uint8Array(data));
+  }
+
+  /**
+   * Writes settings to localStorage. With the vault on, the keys are
+   * re-encrypted (when unlocked) and blanked in the stored copy.
+   */
+  async persistSettings() {
+    const settings = this.state.settings;
+    let stored = settings;
+    if (settings.vault) {
+      if (this.vaultKey) await this.sealVault();
+      stored = { ...settings, llm: { ...settings.llm, apiKey: '' }, search: { ...settings.search, apiKey: '' } };
+    }
+    localStorage.setItem('agentflow_settings', JSON.stringify(stored));
+  }
+
+  async unlockVault(passphrase) {
+    const vault = this.state.settings.vault;
+    if (!vault) return true;
+    try {
+      const key = await this.deriveVaultKey(passphrase, this.base64UrlDecode(vault.salt), vault.iterations);
+      const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.base64UrlDecode(vault.iv) }, key, this.base64UrlDecode(vault.ciphertext));
+      const secrets = JSON.parse(new TextDecoder().decode(plain));
+      this.vaultKey = key;
+      this.state.settings.llm.apiKey = secrets.llm || '';
+      if (this.state.settings.search) this.state.settings.search.apiKey = secrets.search || '';
+      this.lastActivity = Date.now();
+      return true;
+    } catch (e) {
+      // AES-GCM authentication fails on a wrong passphrase
+      return false;
+    }
+  }
+
+  /** Drops the decrypted keys and shows the lock screen. */
+  lockVault(reason = '') {
+    if (!this.state.settings.vault) return;
+    this.vaultKey = null;
+    this.state.settings.llm.apiKey = '';
+    if (this.state.settings.search) this.state.settings.search.apiKey = '';
+    const apiKeyEl = document.getElementById('api-key');
+    if (apiKeyEl) apiKeyEl.value = '';
+    this.closeSettings();
+    this.showVaultLock(reason);
+  }
+
+  showVaultLock(reason = '') {
+    const screen = document.getElementById('vault-lock');
+    if (!screen) return;
+    const reasonEl = screen.querySelector('.vault-reason');
+    if (reasonEl) reasonEl.textContent = reason;
+    screen.querySelector('.vault-error')?.setAttribute('hidden', '');
+    screen.classList.add('active');
+    const input = document.getElementById('vault-unlock-passphrase');
+    if (input) { input.value = ''; input.focus(); }
+  }
+
+  async submitVaultUnlock() {
+    const input = document.getElementById('vault-unlock-passphrase');
+    const button = document.getElementById('vault-unlock');
+    if (button) button.disabled = true;
+    const ok = await this.unlockVault(input?.value || '');
+    if (button) button.disabled = false;
+    if (!ok) {
+      document.querySelector('#vault-lock .vault-error')?.removeAttribute('hidden');
+      input?.select();
+      return;
+    }
+    document.getElementById('vault-lock')?.classList.remove('active');
+    this.showToast('success', 'Unlocked', 'Your API keys are available for this session.');
+  }
+
+  /** Forgotten passphrase: throws the encrypted keys away so the user can enter new ones. */
+  async resetVault() {
+    if (!confirm('Forget the encrypted API keys and turn vault mode off? You will need to enter your keys again.')) return;
+    this.state.settings.vault = null;
+    this.vaultKey = null;
+    await this.persistSettings();
+    document.getElementById('vault-lock')?.classList.remove('active');
+    this.showToast('info', 'Vault Reset', 'Enter your API keys again in Settings → API.');
+  }
+
+  /** Auto-lock: any input counts as activity; checked every 30 s (never mid-run). */
+  startVaultTimer() {
+    this.lastActivity = Date.now();
+    const touch = () => { this.lastActivity = Date.now(); };
+    ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => document.addEventListener(type, touch, { passive: true }));
+    setInterval(() => {
+      const minutes = this.state.settings.vault?.autoLockMinutes;
+      if (!this.vaultKey || !minutes || this.state.isProcessing) return;
+      if (Date.now() - this.lastActivity >= minutes * 60000) this.lockVault(`Locked after ${minutes} minute${minutes === 1 ? '' : 's'} of inactivity.`);
+    }, 30000);
+  }
+
+  /** Checks the vault fields before anything is saved; returns the new passphrase (or '' for none). */
+  readVaultForm() {
+    const enabled = !!document.getElementById('vault-enabled')?.checked;
+    const passphrase = document.getElementById('vault-passphrase')?.value || '';
+    const confirmation = document.getElementById('vault-passphrase-confirm')?.value || '';
+    if (!enabled) return { enabled, passphrase: '' };
+    if (!this.state.settings.vault && !passphrase) throw new Error('Choose a passphrase to turn on vault mode.');
+    if (passphrase && passphrase.length < 8) throw new Error('Use a vault passphrase of at least 8 characters.');
+    if (passphrase !== confirmation) throw new Error('The vault passphrases do not match.');
+    if (!window.crypto?.subtle) throw new Error('This browser has no WebCrypto (it needs HTTPS or localhost), so vault mode is unavailable.');
+    return { enabled, passphrase };
+  }
+
+  async applyVaultForm({ enabled, passphrase }) {
+    if (!enabled) {
+      this.state.settings.vault = null;
+      this.vaultKey = null;
+    } else if (passphrase) {
+      await this.setVaultPassphrase(passphrase);
+    }
+    const vault = this.state.settings.vault;
+    if (vault) {
+      const minutes = parseInt(document.getElementById('vault-autolock')?.value, 10);
+      vault.autoLockMinutes = Number.isFinite(minutes) ? Math.min(Math.max(minutes, 0), 1440) : 15;
+    }
+  }
+
+  populateVaultForm() {
+    const vault = this.state.settings.vault;
+    const enabledEl = document.getElementById('vault-enabled');
+    if (enabledEl) enabledEl.checked = !!vault;
+    ['vault-passphrase', 'vault-passphrase-confirm'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) {
+        el.value = '';
+        el.placeholder = vault ? 'New passphrase (leave empty to keep)' : 'Passphrase (min. 8 characters)';
+      }
+    });
+    const autoLockEl = document.getElementById('vault-autolock');
+    if (autoLockEl) autoLockEl.value = vault?.autoLockMinutes ?? 15;
+    this.updateVaultFields();
+  }
+
+  updateVaultFields() {
+    const on = !!document.getElementById('vault-enabled')?.checked;
+    const fields = document.getElementById('vault-fields');
+    if (fields) fields.hidden = !on;
+    const lockBtn = document.getElementById('vault-lock-now');
+    if (lockBtn) lockBtn.disabled = !this.vaultKey;
+  }
+
+  // =========================
+  // ======= SANITIZER =======
+  // =========================
+  /** Allowed tags with their attributes, elements dropped with their content, and URL rules for sanitizeHtml(). */
+  getSanitizerRules() {
+    return {
+      tags: {
+        p: [], br: [], hr: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        strong: [], b: [], em: [], i: [], del: [], s: [], sup: [], sub: [], kbd: [], mark: [],
+        blockquote: [], ul: [], ol: ['start'], li: [], details: ['open'], summary: [],
+        pre: ['class'], code: ['class'], span: ['class'],
+        table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align'],
+        a: ['href'], img: ['src', 'alt', 'width', 'height'], input: ['type', 'checked', 'disabled']
+      },
+      dropWithContent: new Set(['script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed',
+        'applet', 'form', 'textarea', 'select', 'option', 'button', 'svg', 'math', 'meta', 'link', 'base', 'title', 'head']),
+      classPattern: /^(hljs(-[\w-]+)?|language-[\w+#.-]+)$/,
+      linkSchemes: ['http', 'https', 'mailto', 'tel'],
+      imageDataUrl: /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/=\s]+$/i
+    };
+  }
+
+  /**
+   * Allowlist sanitizer for everything rendered from markdown: model replies,
+   * tool output, user text and exported pages. The HTML is parsed into an
+   * inert <template> (no scripts run, no images load), then rebuilt keeping
+   * only `sanitizerRules.tags` with their listed attributes. Unknown elements
+   * are unwrapped to their text; `dropWithContent` ones vanish entirely.
+   * Links open in a new tab with `rel="noopener noreferrer"` and only
+   * `linkSchemes`; remote images become click-to-load buttons (`images:
+   * 'click'`) or plain links (`images: 'link'`, for exports without scripts).
+   */
+  sanitizeHtml(html, { images = 'click' } = {}) {
+    if (!html) return '';
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    this.sanitizeChildren(template.content, images);
+    return template.innerHTML;
+  }
+
+  sanitizeChildren(parent, images) {
+    const rules = this.sanitizerRules;
+    [...parent.childNodes].forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+      if (node.nodeType !== Node.ELEMENT_NODE) { node.remove(); return; }
+      const tag = node.localName;
+      if (node.namespaceURI !== 'http://www.w3.org/1999/xhtml' || rules.dropWithContent.has(tag)) { node.remove(); return; }
+      this.sanitizeChildren(node, images);
+      const allowed = rules.tags[tag];
+      if (!allowed) { node.replaceWith(...node.childNodes); return; }
+      [...node.attributes].forEach(attr => {
+        if (!allowed.includes(attr.name) && attr.name !== 'title') node.removeAttribute(attr.name);
+      });
+      if (tag === 'a') this.sanitizeLink(node);
+      else if (tag === 'img') this.sanitizeImage(node, images);
+      else if (tag === 'input') {
+        // GFM task list checkboxes only
+        if (node.getAttribute('type') !== 'checkbox') { node.remove(); return; }
+        node.setAttribute('disabled', '');
+      } else if (node.hasAttribute('class')) {
+        const classes = node.getAttribute('class').split(/\s+/).filter(c => rules.classPattern.test(c));
+        if (classes.length) node.setAttribute('class', classes.join(' '));
+        else node.removeAttribute('class');
+      }
+    });
+  }
+
+  /** Scheme of a URL as the browser would see it (it ignores whitespace/control characters), or '' for relative URLs. */
+  urlScheme(url) {
+    const value = String(url || '').replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+    return /^([a-z][a-z0-9+.-]*):/i.exec(value)?.[1].toLowerCase() || '';
+  }
+
+  isSafeLinkUrl(url) {
+    const scheme = this.urlScheme(url);
+    return !scheme || this.sanitizerRules.linkSchemes.includes(scheme);
+  }
+
+  sanitizeLink(link) {
+    const href = link.getAttribute('href');
+    if (href === null || !this.isSafeLinkUrl(href)) link.removeAttribute('href');
+    link.setAttribute('target', '_blank');
+    link.setAttribute('rel', 'noopener noreferrer');
+  }
+
+  /** Inline data: images are kept; remote ones wait for a click (they would leak the reader's IP and can track). */
+  sanitizeImage(img, images) {
+    const src = (img.getAttribute('src') || '').trim();
+    const scheme = this.urlScheme(src);
+    if (scheme === 'data' && this.sanitizerRules.imageDataUrl.test(src)) return;
+    if ((scheme && scheme !== 'http' && scheme !== 'https') || !src) { img.remove(); return; }
+    if (images === 'allow' || this.loadedImages.has(src)) {
+      img.setAttribute('referrerpolicy', 'no-referrer');
+      img.setAttribute('loading', 'lazy');
+      return;
+    }
+    const alt = img.getAttribute('alt') || '';
+    let host = src;
+    try { host = new URL(src, location.href).host; } catch (_) {}
+    if (images === 'link') {
+      const link = document.createElement('a');
+      link.setAttribute('href', src);
+      link.textContent = alt ? `${alt} (image)` : `Image from ${host}`;
+      this.sanitizeLink(link);
+      img.replaceWith(link);
+      return;
+    }
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'remote-image';
+    button.dataset.msgAction = 'load-image';
+    button.dataset.src = src;
+    button.dataset.alt = alt;
+    button.title = src;
+    const icon = document.createElement('i');
+    icon.className = 'fas fa-image';
+    button.append(icon, ` ${alt || 'Image'} · load from ${host}`);
+    img.replaceWith(button);
+  }
+
+  /** Click on a remote-image placeholder: loads it and keeps it loaded across re-renders. */
+  loadRemoteImage(button) {
+    const src = button.dataset.src;
+    if (!src || !['http', 'https', ''].includes(this.urlScheme(src))) return;
+    this.loadedImages.add(src);
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = button.dataset.alt || '';
+    img.referrerPolicy = 'no-referrer';
+    button.replaceWith(img);
+  }
 
-    try { document.querySelector(`input[name="theme"][value="${s.ui.theme}"]`).checked = true; } catch (_) {}
-    const el = (id, v) => { const e = document.getElementById(id); if (e != null) e.checked = !!v; };
-    el('animations-enabled', s.ui.animationsEnabled);
-    el('sound-enabled', s.ui.soundEnabled);
-    const fs = document.getElementById('font-size'); if (fs) fs.value = s.ui.fontSize || 'medium';
-    el('voice-enabled', s.voice.enabled);
-    el('voice-output-enabled', s.voice.outputEnabled);
-    const vl = document.getElementById('voice-language'); if (vl) vl.value = s.voice.language || 'en-US';
-    const sr = document.getElementById('speech-rate'); if (sr) sr.value = s.voice.speechRate || 1.0;
-    el('auto-save', s.advanced.autoSave);
-    el('analytics-enabled', s.advanced.analyticsEnabled);
-    const mh = document.getElementById('max-history'); if (mh) mh.value = s.advanced.maxHistory || 100;
+  // =========================
+  // ==== IMPORT / EXPORT ====
+  // =========================
+  /**
+   * JSON exports are `{ format: 'querya', version, kind, exportedAt, ... }`
+   * where kind is `conversation` or `backup` (conversations, optionally
+   * settings) or `settings`. Conversations are written whole — every branch,
+   * tool call, timestamp, model, usage and bookmark — so an import restores
+   * them exactly. Bump `exportVersion` and teach normalizeImport() the old
+   * shape whenever the format changes.
+   */
+  createExportEnvelope(kind, payload) {
+    return { format: 'querya', version: this.exportVersion, kind, exportedAt: new Date().toISOString(), ...payload };
+  }
 
-    this.updateModelOptions().catch(() => {});
+  /** Deep copy of a conversation fit for export (nothing half-streamed). */
+  serializeConversation(conversation) {
+    const copy = JSON.parse(JSON.stringify(conversation));
+    copy.messages = (copy.messages || []).filter(m => !m.streaming);
+    return copy;
   }
 
-  updateSettingsFromForm() {
-    const s = this.state.settings || this.getDefaultSettings();
-    s.llm.provider = 'aipipe';
-    s.llm.apiKey = document.getElementById('api-key')?.value || s.llm.apiKey;
-    s.llm.model = document.getElementById('model-name')?.value || s.llm.model;
-    s.llm.maxTokens = parseInt(document.getElementById('max-tokens')?.value || s.llm.maxTokens, 10);
-    s.llm.temperature = parseFloat(document.getElementById('temperature')?.value || s.llm.temperature);
-    s.llm.baseUrl = document.getElementById('base-url')?.value || s.llm.baseUrl;
+  /**
+   * Settings copy for export. API keys are blanked unless `includeKeys`; with
+   * the vault on they are never written in the clear — `includeKeys` then
+   * carries the encrypted vault instead.
+   */
+  serializeSettings({ includeKeys = false } = {}) {
+    const settings = JSON.parse(JSON.stringify(this.state.settings));
+    if (!includeKeys || settings.vault) {
+      if (settings.llm) settings.llm.apiKey = '';
+      if (settings.search) settings.search.apiKey = '';
+    }
+    if (!includeKeys) delete settings.vault;
+    return settings;
+  }
 
-    s.ui.theme = document.querySelector('input[name="theme"]:checked')?.value || s.ui.theme;
-    s.ui.animationsEnabled = document.getElementById('animations-enabled')?.checked;
-    s.ui.soundEnabled = document.getElementById('sound-enabled')?.checked;
-    s.ui.fontSize = document.getElementById('font-size')?.value || s.ui.fontSize;
+  exportFilename(title, ext) {
+    const base = String(title || 'conversation').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '_') || 'conversation';
+    return `${base.slice(0, 60)}.${ext}`;
+  }
 
-    s.voice.enabled = document.getElementById('voice-enabled')?.checked;
-    s.voice.outputEnabled = document.getElementById('voice-output-enabled')?.checked;
-    s.voice.language = document.getElementById('voice-language')?.value || s.voice.language;
-    s.voice.speechRate = parseFloat(document.getElementById('speech-rate')?.value || s.voice.speechRate);
+  openExport() {
+    const modal = document.getElementById('export-modal');
+    const conflicts = document.getElementById('import-conflicts');
+    if (conflicts) conflicts.hidden = true;
+    modal?.classList.add('active');
+  }
 
-    s.advanced.autoSave = document.getElementById('auto-save')?.checked;
-    s.advanced.analyticsEnabled = document.getElementById('analytics-enabled')?.checked;
-    s.advanced.maxHistory = parseInt(document.getElementById('max-history')?.value || s.advanced.maxHistory, 10);
+  exportConversation(format = 'json') {
+    try {
+      const conv = this.state.conversations.get(this.state.currentConversationId);
+      if (!conv) return this.showToast('error', 'Export Failed', 'No active conversation.');
+      if (format === 'markdown') {
+        this.downloadBlob(new Blob([this.renderConversationMarkdown(conv)], { type: 'text/markdown' }), this.exportFilename(conv.title, 'md'));
+      } else if (format === 'html') {
+        this.downloadBlob(new Blob([this.renderConversationHtml(conv)], { type: 'text/html' }), this.exportFilename(conv.title, 'html'));
+      } else {
+        const data = this.createExportEnvelope('conversation', { conversations: [this.serializeConversation(conv)] });
+        this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), this.exportFilename(conv.title, 'querya.json'));
+      }
+    } catch (e) {
+      this.showToast('error', 'Export Failed', e.message || 'Could not export conversation');
+    }
+  }
 
-    this.state.settings = s;
+  exportBackup() {
+    try {
+      const includeSettings = document.getElementById('backup-include-settings')?.checked ?? true;
+      const includeKeys = !!document.getElementById('backup-include-keys')?.checked;
+      const data = this.createExportEnvelope('backup', {
+        conversations: Array.from(this.state.conversations.values()).map(c => this.serializeConversation(c)),
+        ...(includeSettings ? { settings: this.serializeSettings({ includeKeys }) } : {})
+      });
+      this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `querya-backup-${new Date().toISOString().slice(0, 10)}.json`);
+      this.showToast('success', 'Backup Exported', `${data.conversations.length} conversation(s)${includeSettings ? ' and settings' : ''}${includeKeys ? ' including API keys' : ''}.`);
+    } catch (e) {
+      this.showToast('error', 'Export Failed', e.message || 'Could not export backup');
+    }
+  }
+
+  exportSettings() {
+    const includeKeys = !!document.getElementById('export-include-keys')?.checked;
+    const data = this.createExportEnvelope('settings', { settings: this.serializeSettings({ includeKeys }) });
+    this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'querya-settings.json');
+    let note = 'API keys were left out.';
+    if (includeKeys) note = this.state.settings.vault ? 'API keys are included in encrypted form only.' : 'The file contains your API keys — keep it private.';
+    this.showToast('success', 'Settings Exported', note);
+  }
+
+  /** Opens a file picker and resolves with the parsed JSON of the chosen file (null if cancelled). */
+  pickJsonFile() {
+    return new Promise((resolve, reject) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,application/json';
+      input.onchange = async () => {
+        const file = input.files?.[0];
+        if (!file) return resolve(null);
+        try { resolve(JSON.parse(await file.text())); } catch (e) { reject(new Error(`${file.name} is not valid JSON.`)); }
+      };
+      input.click();
+    });
+  }
+
+  /** Checks the envelope and returns `{ conversations, settings }` from any supported export. */
+  normalizeImport(data) {
+    if (!data || data.format !== 'querya') throw new Error('This file is not a Querya export.');
+    if (!Number.isInteger(data.version) || data.version > this.exportVersion) {
+      throw new Error(`This file was made by a newer version of Querya (format v${data.version}).`);
+    }
+    const conversations = (Array.isArray(data.conversations) ? data.conversations : []).filter(c => c && c.id && Array.isArray(c.messages));
+    conversations.forEach(conv => {
+      conv.messages = conv.messages.filter(m => m && m.id && m.role);
+      conv.branches = Array.isArray(conv.branches) ? conv.branches.filter(m => m && m.id && m.role) : [];
+      conv.createdAt = conv.createdAt || Date.now();
+      conv.updatedAt = conv.updatedAt || conv.createdAt;
+      this.linkMessagePath(conv);
+    });
+    return { conversations, settings: data.settings && typeof data.settings === 'object' ? data.settings : null };
+  }
+
+  /** Copy of `conversation` with fresh conversation and message ids (parent links and branch choices remapped). */
+  cloneWithNewIds(conversation) {
+    const ids = new Map();
+    const remap = (m) => { ids.set(m.id, this.generateId('msg')); return m; };
+    const copy = JSON.parse(JSON.stringify(conversation));
+    [...copy.messages, ...copy.branches].forEach(remap);
+    [...copy.messages, ...copy.branches].forEach(m => {
+      m.id = ids.get(m.id);
+      if (m.parentId) m.parentId = ids.get(m.parentId) ?? null;
+    });
+    copy.branchSelection = Object.fromEntries(Object.entries(copy.branchSelection || {})
+      .map(([parent, child]) => [parent === 'root' ? parent : ids.get(parent), ids.get(child)])
+      .filter(([parent, child]) => parent && child));
+    copy.id = this.generateId('conv');
+    return copy;
   }
 
-  saveAndApplySettings() {
+  /**
+   * Adds imported conversations. Ids already in use are resolved by
+   * `onConflict`: 'copy' keeps both (the import gets new ids), 'replace'
+   * overwrites the local conversation, 'skip' keeps the local one.
+   */
+  importConversations(conversations, onConflict = 'copy') {
+    const localMessageIds = new Set();
+    this.state.conversations.forEach(c => this.getMessageTree(c).forEach(m => localMessageIds.add(m.id)));
+    let added = 0, replaced = 0, skipped = 0;
+    conversations.forEach(incoming => {
+      const exists = this.state.conversations.has(incoming.id);
+      if (exists && onConflict === 'skip') { skipped++; return; }
+      let conv = incoming;
+      if (exists && onConflict === 'replace') {
+        this.getMessageTree(this.state.conversations.get(incoming.id)).forEach(m => localMessageIds.delete(m.id));
+        replaced++;
+      } else {
+        added++;
+      }
+      // Message ids are keys in the message store, so they must stay unique across conversations too
+      const clashes = this.getMessageTree(conv).some(m => localMessageIds.has(m.id));
+      if ((exists && onConflict === 'copy') || clashes) {
+        conv = this.cloneWithNewIds(incoming);
+        if (exists) conv.title = `${incoming.title || 'Conversation'} (imported)`;
+        else conv.id = incoming.id;
+      }
+      this.getMessageTree(conv).forEach(m => localMessageIds.add(m.id));
+      this.state.conversations.set(conv.id, conv);
+      this.dirtyConversations.add(conv.id);
+    });
+    this.saveCurrentConversation();
+    this.updateConversationList();
+    if (this.state.conversations.has(this.state.currentConversationId)) this.loadConversation(this.state.currentConversationId);
+    return { added, replaced, skipped };
+  }
+
+  /** Import button in the export dialog: conversations or a full backup (asks when ids collide). */
+  async importData() {
     try {
-      this.updateSettingsFromForm();
-      this.applySettings();
-      localStorage.setItem('agentflow_settings', JSON.stringify(this.state.settings));
-      this.showToast('success', 'Settings Saved', 'Your settings have been updated.');
-      this.closeSettings();
+      const data = await this.pickJsonFile();
+      if (!data) return;
+      const { conversations, settings } = this.normalizeImport(data);
+      if (!conversations.length && !settings) throw new Error('The file contains no conversations or settings.');
+      const conflicts = conversations.filter(c => this.state.conversations.has(c.id)).length;
+      const finish = (onConflict) => {
+        const result = this.importConversations(conversations, onConflict);
+        if (settings) this.applyImportedSettings(settings);
+        document.getElementById('import-conflicts')?.setAttribute('hidden', '');
+        this.showToast('success', 'Import Complete', [
+          `${result.added} added`,
+          result.replaced ? `${result.replaced} replaced` : '',
+          result.skipped ? `${result.skipped} skipped` : '',
+          settings ? 'settings restored' : ''
+        ].filter(Boolean).join(', ') + '.');
+      };
+      if (!conflicts) return finish('copy');
+
+      const panel = document.getElementById('import-conflicts');
+      if (!panel) return finish('copy');
+      panel.querySelector('.import-conflict-count').textContent = `${conflicts} of ${conversations.length} imported conversation(s) already exist here.`;
+      panel.hidden = false;
+      panel.querySelectorAll('[data-conflict]').forEach(btn => {
+        btn.onclick = () => finish(btn.dataset.conflict);
+      });
     } catch (e) {
-      this.showToast('error', 'Save Failed', e.message || 'Could not save settings');
+      this.showToast('error', 'Import Failed', e.message || 'Could not import file');
     }
   }
 
-  applySettings() {
+  /** Import button in Settings: accepts a settings export or the settings part of a backup. */
+  async importSettings() {
     try {
-      this.updateTheme();
-      const font = { 'small': '0.875rem', 'medium': '1rem', 'large': '1.125rem' }[this.state.settings.ui.fontSize] || '1rem';
-      document.documentElement.style.setProperty('--font-size-base', font);
-    } catch (_) {}
+      const data = await this.pickJsonFile();
+      if (!data) return;
+      const { settings } = this.normalizeImport(data);
+      if (!settings) throw new Error('The file contains no settings.');
+      this.applyImportedSettings(settings);
+      this.populateSettingsForm();
+      this.showToast('success', 'Settings Imported', 'Settings were restored from the file.');
+    } catch (e) {
+      this.showToast('error', 'Import Failed', e.message || 'Could not import settings');
+    }
   }
 
-  async loadSettings() {
+  /** Merges imported settings over the defaults; keys missing from the file keep their current values. */
+  applyImportedSettings(imported) {
+    const current = this.state.settings;
+    const next = this.mergeSettings(imported);
+    if (!next.llm.apiKey) next.llm.apiKey = current.llm.apiKey;
+    if (!next.search.apiKey) next.search.apiKey = current.search?.apiKey || '';
+    if (imported.vault) {
+      // The file's vault replaces ours; its keys stay sealed until unlocked
+      next.llm.apiKey = '';
+      next.search.apiKey = '';
+      this.vaultKey = null;
+    } else {
+      next.vault = current.vault || null;
+    }
+    this.state.settings = next;
+    this.persistSettings().catch(e => console.warn('Could not save settings', e));
+    if (this.isVaultLocked()) this.lockVault('The imported settings have their own vault. Enter its passphrase.');
+    this.applySettings();
+    this.renderToolSettings();
+    this.updateChatHeader();
+  }
+
+  renderConversationMarkdown(conv) {
+    let content = `# ${conv.title}\n\n`;
+    conv.messages.forEach(msg => {
+      const sender = (msg.role || 'unknown').replace(/^./, c => c.toUpperCase());
+      content += `**${sender}**: ${typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)}\n\n`;
+    });
+    return content;
+  }
+
+  /** Markdown (or plain text) to HTML for exported pages. */
+  renderMarkdownHtml(text) {
+    if (!text) return '';
+    if (window.marked) {
+      try { return this.sanitizeHtml(marked.parse(text), { images: 'link' }); } catch (_) {}
+    }
+    return `<p>${this.escapeHtml(text)}</p>`;
+  }
+
+  /**
+   * Standalone HTML page of the active branch: inline styles, charts as inline
+   * SVG, tool calls and results in collapsible blocks. No scripts or external assets.
+   */
+  renderConversationHtml(conv, { title = conv.title || 'Conversation' } = {}) {
+    const names = { user: 'You', assistant: 'Querya', system: 'System', tool: 'Tool' };
+    const body = conv.messages.filter(m => !m.uiOnly && !m.streaming).map(m => {
+      let html = '';
+      if (m.role === 'tool') {
+        let out = typeof m.content === 'string' ? m.content : JSON.stringify(m.content);
+        try { out = JSON.stringify(JSON.parse(out), null, 2); } catch (_) {}
+        html = `<details><summary>Result</summary><pre>${this.escapeHtml(out)}</pre></details>`;
+      } else {
+        html = this.renderMarkdownHtml(typeof m.content === 'string' ? m.content : JSON.stringify(m.content, null, 2));
+      }
+      if (m.images?.length) html += this.renderMessageImages(m, { forExport: true });
+      if (m.tool_calls?.length) html += this.renderToolCalls(m.tool_calls);
+      (m.attachments || []).forEach(att => {
+        if (att.type === 'chart') html += `<figure class="chart">${this.renderChartSvg(att.spec, { forExport: true })}</figure>`;
+      });
+      const sender = m.summary ? 'Summary' : m.role === 'tool' && m.name ? `Tool · ${m.name}` : (names[m.role] || m.role);
+      const meta = [new Date(m.timestamp).toLocaleString(), m.role === 'assistant' ? m.model : '', m.bookmarked ? '★ bookmarked' : '']
+        .filter(Boolean).map(s => this.escapeHtml(s)).join(' · ');
+      return `
+    <article class="msg ${this.escapeHtml(m.role)}">
+      <header><strong>${this.escapeHtml(sender)}</strong><span>${meta}</span></header>
+      <div class="body">${html}</div>
+    </article>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${this.escapeHtml(title)}</title>
+<style>
+  body { margin: 0; background: #f7fafc; color: #1a202c; font: 16px/1.6 system-ui, -apple-system, "Segoe UI", sans-serif; }
+  main { max-width: 860px; margin: 0 auto; padding: 2rem 1rem 4rem; }
+  h1 { font-size: 1.5rem; margin: 0 0 .25rem; }
+  .sub { color: #718096; font-size: .875rem; margin-bottom: 2rem; }
+  .msg { background: #fff; border: 1px solid #e2e8f0; border-radius: 12px; padding: 1rem 1.25rem; margin-bottom: 1rem; }
+  .msg.user { background: #eef2ff; border-color: #c7d2fe; }
+  .msg.tool, .msg.system { background: #f8fafc; font-size: .9rem; }
+  .msg header { display: flex; justify-content: space-between; gap: 1rem; margin-bottom: .5rem; font-size: .875rem; }
+  .msg header span { color: #718096; }
+  pre { background: #1a202c; color: #e2e8f0; padding: .75rem 1rem; border-radius: 8px; overflow-x: auto; font-size: .85rem; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+  :not(pre) > code { background: #edf2f7; padding: .1rem .3rem; border-radius: 4px; }
+  details { margin-top: .5rem; }
+  summary { cursor: pointer; color: #4a5568; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #e2e8f0; padding: .35rem .6rem; }
+  figure.chart { margin: .75rem 0 0; } figure.chart svg { max-width: 100%; height: auto; }
+  img { max-width: 100%; }
+  .message-images { display: flex; flex-wrap: wrap; gap: .5rem; margin-top: .5rem; } .message-images img { max-height: 240px; border-radius: 6px; }
+</style>
+</head>
+<body>
+<main>
+  <h1>${this.escapeHtml(title)}</h1>
+  <div class="sub">Exported from Querya on ${this.escapeHtml(new Date().toLocaleString())}</div>${body}
+</main>
+</body>
+</html>
+`;
+  }
+
+  // =========================
+  // ======== SHARING ========
+  // =========================
+  /**
+   * A share is a read-only snapshot of the active branch in the JSON export
+   * format, either as a standalone HTML page or packed into a link fragment
+   * (`#share=z.<base64url deflate>` or `j.<base64url JSON>` where
+   * CompressionStream is missing). Fragments never reach a server.
+   */
+  openShare() {
+    if (!this.state.conversations.get(this.state.currentConversationId)?.messages.length) {
+      return this.showToast('warning', 'Nothing to Share', 'This conversation has no messages yet.');
+    }
+    document.getElementById('share-link-fallback')?.setAttribute('hidden', '');
+    document.getElementById('share-modal')?.classList.add('active');
+  }
+
+  /** Snapshot of the active branch, minus UI notices and anything the user chose to redact. */
+  buildShareSnapshot(conversation, { redactTools = false, redactSystem = false } = {}) {
+    const messages = conversation.messages
+      .filter(m => !m.uiOnly && !m.streaming && !(redactSystem && m.role === 'system'))
+      .map(m => {
+        const { id, role, content, timestamp, model, name, tool_calls, tool_call_id, attachments, images, summary, summarizedCount } = m;
+        const copy = JSON.parse(JSON.stringify({ id, role, content, timestamp, model, name, tool_calls, tool_call_id, attachments, images, summary, summarizedCount }));
+        if (redactTools && role === 'tool') {
+          copy.content = '[tool output redacted]';
+          delete copy.attachments;
+          delete copy.images;
+        }
+        return copy;
+      });
+    messages.forEach((m, i) => { m.parentId = i ? messages[i - 1].id : null; });
+    return this.createExportEnvelope('conversation', {
+      shared: true,
+      conversations: [{
+        id: conversation.id,
+        title: conversation.title || 'Shared conversation',
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        messages
+      }]
+    });
+  }
+
+  getShareOptions() {
+    return {
+      redactTools: !!document.getElementById('share-redact-tools')?.checked,
+      redactSystem: !!document.getElementById('share-redact-system')?.checked
+    };
+  }
+
+  base64UrlEncode(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  base64UrlDecode(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+  }
+
+  async encodeShareFragment(snapshot) {
+    const bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+    if (typeof CompressionStream === 'undefined') return `j.${this.base64UrlEncode(bytes)}`;
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return `z.${this.base64UrlEncode(new Uint8Array(await new Response(stream).arrayBuffer()))}`;
+  }
+
+  async decodeShareFragment(fragment) {
+    const [codec, data] = fragment.split('.', 2);
+    let bytes = this.base64UrlDecode(data || '');
+    if (codec === 'z') {
+      if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot open compressed share links.');
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else if (codec !== 'j') {
+      throw new Error('Unknown share link format.');
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  /** Hands `payload` to the system share sheet; false when the browser can't share it. Cancelling counts as handled. */
+  async shareViaNavigator(payload) {
+    if (!navigator.share || (navigator.canShare && !navigator.canShare(payload))) return false;
     try {
-      const stored = localStorage.getItem('agentflow_settings');
-      if (stored) {
-        const loaded = JSON.parse(stored);
-        this.state.settings = {
-          ...this.getDefaultSettings(),
-          ...loaded,
-          llm: { ...this.getDefaultSettings().llm, ...(loaded.llm || {}) },
-          ui: { ...this.getDefaultSettings().ui, ...(loaded.ui || {}) },
-          voice: { ...this.getDefaultSettings().voice, ...(loaded.voice || {}) },
-          advanced: { ...this.getDefaultSettings().advanced, ...(loaded.advanced || {}) }
-        };
+      await navigator.share(payload);
+    } catch (e) {
+      if (e?.name !== 'AbortError') throw e;
+    }
+    return true;
+  }
+
+  async shareAsLink() {
+    try {
+      const conv = this.state.conversations.get(this.state.currentConversationId);
+      if (!conv) return;
+      const fragment = await this.encodeShareFragment(this.buildShareSnapshot(conv, this.getShareOptions()));
+      const url = `${location.origin}${location.pathname}#share=${fragment}`;
+      if (url.length > 2_000_000) throw new Error('This conversation is too large for a link. Share it as an HTML file instead.');
+      document.getElementById('share-modal')?.classList.remove('active');
+      if (await this.shareViaNavigator({ title: conv.title || 'Querya chat', url })) return;
+      // Neither the share sheet nor the clipboard exist on non-secure origins (file://, LAN http)
+      try {
+        if (!navigator.clipboard) throw new Error('Clipboard unavailable');
+        await navigator.clipboard.writeText(url);
+      } catch (_) {
+        this.showShareLinkField(url);
+        return;
       }
+      this.showToast('success', 'Link Copied', url.length > 8000
+        ? `The link is ${Math.round(url.length / 1024)} KB; some apps cut long links, so an HTML file may travel better.`
+        : 'Anyone with the link can view this snapshot.');
     } catch (e) {
-      console.warn('Could not load settings, using defaults', e);
+      this.showToast('error', 'Share Failed', e.message || 'Unable to share');
     }
   }
 
-  clearAllData() {
-    if (confirm('DANGER: This will delete ALL data and settings. Continue?')) {
-      localStorage.clear();
-      window.location.reload();
+  /** Reopens the share modal with the link in a selectable field for copying by hand. */
+  showShareLinkField(url) {
+    const field = document.getElementById('share-link-url');
+    if (!field) return;
+    field.value = url;
+    document.getElementById('share-link-fallback')?.removeAttribute('hidden');
+    document.getElementById('share-modal')?.classList.add('active');
+    field.focus();
+    field.select();
+  }
+
+  async shareAsFile() {
+    try {
+      const conv = this.state.conversations.get(this.state.currentConversationId);
+      if (!conv) return;
+      const snapshot = this.buildShareSnapshot(conv, this.getShareOptions());
+      const html = this.renderConversationHtml(snapshot.conversations[0]);
+      const filename = this.exportFilename(conv.title, 'html');
+      document.getElementById('share-modal')?.classList.remove('active');
+      const file = typeof File === 'function' ? new File([html], filename, { type: 'text/html' }) : null;
+      if (file && await this.shareViaNavigator({ title: conv.title || 'Querya chat', files: [file] })) return;
+      this.downloadBlob(new Blob([html], { type: 'text/html' }), filename);
+      this.showToast('success', 'Snapshot Saved', 'Send the downloaded HTML file; it opens in any browser.');
+    } catch (e) {
+      this.showToast('error', 'Share Failed', e.message || 'Unable to share');
+    }
+  }
+
+  /** Opens the read-only viewer when the page was loaded from a share link. */
+  async openSharedFromLocation() {
+    const match = /^#share=(.+)$/.exec(location.hash || '');
+    if (!match) return;
+    try {
+      const snapshot = await this.decodeShareFragment(match[1]);
+      const { conversations } = this.normalizeImport(snapshot);
+      if (!conversations.length) throw new Error('The link holds no conversation.');
+      this.showSharedViewer(conversations[0]);
+    } catch (e) {
+      this.showToast('error', 'Could Not Open Link', e.message || 'The share link is damaged.');
+      this.closeSharedViewer();
     }
   }
 
+  /** Shared content is untrusted, so it renders in a sandboxed frame with scripts off. */
+  showSharedViewer(conversation) {
+    const viewer = document.getElementById('shared-viewer');
+    if (!viewer) return;
+    this.sharedConversation = conversation;
+    viewer.querySelector('.shared-title').textContent = conversation.title || 'Shared conversation';
+    viewer.querySelector('iframe').srcdoc = this.renderConversationHtml(conversation);
+    viewer.classList.add('active');
+  }
+
+  closeSharedViewer() {
+    this.sharedConversation = null;
+    document.getElementById('shared-viewer')?.classList.remove('active');
+    if (/^#share=/.test(location.hash)) history.replaceState(null, '', `${location.pathname}${location.search}`);
+  }
+
+  importSharedConversation() {
+    const conv = this.sharedConversation;
+    if (!conv) return;
+    const before = new Set(this.state.conversations.keys());
+    this.importConversations([conv], 'copy');
+    const added = [...this.state.conversations.keys()].find(id => !before.has(id));
+    this.closeSharedViewer();
+    if (added) this.loadConversation(added);
+    this.showToast('success', 'Imported', 'The shared conversation was added to your conversations.');
+  }
+
   // =========================
   // ===== MODEL PICKER ======
   // =========================
+  /** Provider picked in the (unsaved) settings form, falling back to the saved one. */
+  getFormProvider() {
+    return this.getProvider(document.getElementById('llm-provider')?.value) ||
+      this.getProvider(this.state.settings.llm.provider) || this.getProvider('aipipe');
+  }
+
+  onProviderChange() {
+    // A base URL that is just another provider's default would point at the wrong API
+    const baseUrlEl = document.getElementById('base-url');
+    const defaults = Object.values(this.providers).map(p => p.defaultBaseUrl);
+    if (baseUrlEl && defaults.includes(baseUrlEl.value.trim().replace(/\/+$/, ''))) baseUrlEl.value = '';
+    this.updateProviderHints();
+    this.updateModelOptions().catch(() => {});
+  }
+
+  updateProviderHints() {
+    const adapter = this.getFormProvider();
+    const baseUrlEl = document.getElementById('base-url');
+    const apiKeyEl = document.getElementById('api-key');
+    if (baseUrlEl) baseUrlEl.placeholder = adapter.defaultBaseUrl;
+    if (apiKeyEl) apiKeyEl.placeholder = adapter.requiresKey ? `Enter your ${adapter.label} key` : 'Optional for local servers';
+  }
+
   async updateModelOptions() {
     const modelSelect = document.getElementById('model-name');
     const apiKeyEl = document.getElementById('api-key');
     if (!modelSelect) return;
 
+    const adapter = this.getFormProvider();
+    const isSavedProvider = adapter.id === this.state.settings.llm.provider;
+    const apiKey = apiKeyEl?.value || (isSavedProvider ? this.state.settings.llm.apiKey : '') || '';
+    const baseUrl = this.resolveBaseUrl(adapter, document.getElementById('base-url')?.value ?? this.state.settings.llm.baseUrl);
+
     modelSelect.innerHTML = '<option>Loading…</option>';
     modelSelect.disabled = true;
 
-    try {
-      const models = await this.fetchAIpipeModels(apiKeyEl?.value || '', (this.state.settings.llm.baseUrl || 'https://aipipe.org'));
+    const fill = (models) => {
       modelSelect.innerHTML = '';
-      if (!models || !models.length) {
-        modelSelect.innerHTML = '<option>No models available for your token.</option>';
-        modelSelect.disabled = false;
-        return;
-      }
       models.forEach(name => {
         const opt = document.createElement('option');
         opt.value = name;
@@ -881,21 +5707,43 @@ class Querya {
         modelSelect.appendChild(opt);
       });
 
-      const current = this.state.settings.llm.model;
+      const current = isSavedProvider ? this.state.settings.llm.model : adapter.defaultModel;
       if (models.includes(current)) modelSelect.value = current;
       else {
-        this.state.settings.llm.model = models[0];
+        if (isSavedProvider) this.state.settings.llm.model = models[0];
         modelSelect.value = models[0];
       }
+    };
+
+    try {
+      const models = await adapter.listModels({ apiKey, baseUrl });
+      if (!models || !models.length) {
+        modelSelect.innerHTML = '<option>No models available for your key.</option>';
+        modelSelect.disabled = false;
+        return;
+      }
+      fill(models);
     } catch (error) {
       console.error('updateModelOptions error', error);
-      this.showToast('error', 'Model List Error', error.message || 'Check AI Pipe token or network.');
-      modelSelect.innerHTML = `<option value="">AI Pipe token required to load models.</option>`;
+      this.showToast('error', 'Model List Error', error.message || `Check ${adapter.label} key or network.`);
+      if (adapter.fallbackModels?.length) fill(adapter.fallbackModels);
+      else modelSelect.innerHTML = `<option value="">${this.escapeHtml(adapter.label)} key required to load models.</option>`;
     } finally {
       modelSelect.disabled = false;
     }
   }
 
+  /** Keeps OpenRouter-style `pricing` (USD per token, as strings) from a model list, per 1M tokens. */
+  rememberModelPricing(models) {
+    (models || []).forEach(m => {
+      const input = parseFloat(m?.pricing?.prompt);
+      const output = parseFloat(m?.pricing?.completion);
+      if (m?.id && Number.isFinite(input) && Number.isFinite(output)) {
+        this.modelPricing.set(String(m.id).toLowerCase(), { input: input * 1e6, output: output * 1e6 });
+      }
+    });
+  }
+
   async fetchAIpipeModels(token, baseUrl = 'https://aipipe.org') {
     if (!token) throw new Error('AI Pipe token required');
     const cacheKey = `models_aipipe_${baseUrl}`;
@@ -911,8 +5759,10 @@ class Querya {
       });
       if (r1.ok) {
         const d1 = await r1.json();
-        if (Array.isArray(d1?.models)) all.push(...d1.models.map(m => m.name || m.id));
-        else if (Array.isArray(d1)) all.push(...d1.map(m => m.name || m.id));
+        const list = Array.isArray(d1?.data) ? d1.data : Array.isArray(d1?.models) ? d1.models : Array.isArray(d1) ? d1 : [];
+        all.push(...list.map(m => m.id || m.name));
+        this.rememberModelPricing(list);
+        this.rememberModelModalities(list);
       }
     } catch (_) {}
 
@@ -956,6 +5806,7 @@ class Querya {
       this.elements.conversationList.querySelectorAll('.conversation-item').forEach(item => {
         item.addEventListener('click', () => this.loadConversation(item.dataset.conversationId));
       });
+      this.renderSearchModelOptions();
       const totals = {
         conversations: this.state.conversations.size,
         messages: Array.from(this.state.conversations.values()).reduce((s, c) => s + (c.messages?.length || 0), 0)
@@ -977,13 +5828,19 @@ class Querya {
         if (t) t.textContent = this.escapeHtml(conv.title || 'Conversation');
         if (d) d.textContent = `Created on ${new Date(conv.createdAt).toLocaleDateString()}`;
       }
+      this.renderPersonaOptions();
+      this.updateContextMeter();
+      this.updatePerformanceDisplay();
     } catch (_) {}
   }
 
   updateUIState() {
     if (!this.elements.sendButton) return;
-    this.elements.sendButton.disabled = this.state.isProcessing;
-    this.elements.sendButton.innerHTML = this.state.isProcessing ? '<i class="fas fa-spinner fa-spin"></i>' : '<i class="fas fa-paper-plane"></i>';
+    const busy = this.state.isProcessing;
+    this.elements.sendButton.disabled = false;
+    this.elements.sendButton.classList.toggle('stop', busy);
+    this.elements.sendButton.title = busy ? 'Stop' : 'Send';
+    this.elements.sendButton.innerHTML = busy ? '<i class="fas fa-stop"></i>' : '<i class="fas fa-paper-plane"></i>';
   }
 
   toggleTheme() {
@@ -1047,9 +5904,179 @@ class Querya {
     } catch (_) {}
   }
 
+  // ---- Voice output (speechSynthesis) ----
+
+  /** Plain text to read aloud: code blocks are skipped and markdown syntax removed. */
+  speechText(markdown) {
+    if (typeof markdown !== 'string') return '';
+    return markdown
+      .replace(/```[\s\S]*?(```|$)/g, ' (code omitted) ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/https?:\/\/\S+/g, 'link')
+      .replace(/`([^`]*)`/g, '$1')
+      .replace(/^\s{0,3}(#{1,6}|>+|[-*+]|\d+[.)])\s+/gm, '')
+      .replace(/^\s*(\|?\s*:?-{3,}:?\s*)+\|?\s*$/gm, '')
+      .replace(/^\s*([-*_]\s*){3,}$/gm, '')
+      .replace(/(\*\*|\*|~~)(\S(?:[\s\S]*?\S)?)\1/g, '$2')
+      .replace(/(^|\W)(__?)(\S(?:[\s\S]*?\S)?)\2(?!\w)/g, '$1$3')
+      .replace(/^[ \t]*\||\|[ \t]*$/gm, '')
+      .replace(/\s*\|\s*/g, ', ')
+      // A line break is a pause: end the line as a sentence unless it already has punctuation
+      .replace(/([^\s.!?:;,])[ \t]*\n+/g, '$1. ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /** Long utterances get cut off by some engines, so text is queued in sentence-sized chunks. */
+  splitSpeech(text, max = 200) {
+    const chunks = [];
+    (text.match(/[^.!?;:]+[.!?;:]*\s*/g) || [text]).forEach(part => {
+      const last = chunks[chunks.length - 1];
+      if (last && last.length + part.length <= max) chunks[chunks.length - 1] = last + part;
+      else chunks.push(part);
+    });
+    return chunks.map(c => c.trim()).filter(Boolean);
+  }
+
+  /** Reads a message aloud with the Voice tab's language and rate; `onEnd` runs when it finishes or is stopped. */
+  speakMessage(message, { onEnd } = {}) {
+    if (!window.speechSynthesis) {
+      this.showToast('error', 'Voice Not Supported', 'This browser cannot read text aloud.');
+      return false;
+    }
+    const text = this.speechText(message.content);
+    if (!text) return false;
+    // A new reading replaces the current one without firing its onEnd
+    this.speaking = null;
+    speechSynthesis.cancel();
+
+    const { language = 'en-US', speechRate = 1 } = this.state.settings.voice;
+    const voices = speechSynthesis.getVoices();
+    const voice = voices.find(v => v.lang === language) || voices.find(v => v.lang?.startsWith(language.split('-')[0]));
+    const session = { messageId: message.id, onEnd };
+    this.speaking = session;
+    const chunks = this.splitSpeech(text);
+    chunks.forEach((chunk, i) => {
+      const utterance = new SpeechSynthesisUtterance(chunk);
+      utterance.lang = language;
+      utterance.rate = speechRate || 1;
+      if (voice) utterance.voice = voice;
+      if (i === chunks.length - 1) utterance.onend = () => this.finishSpeaking(session);
+      utterance.onerror = (e) => {
+        if (e.error !== 'interrupted' && e.error !== 'canceled') console.warn('Speech synthesis error:', e.error);
+        this.finishSpeaking(session);
+      };
+      speechSynthesis.speak(utterance);
+    });
+    this.updateSpeakButtons();
+    return true;
+  }
+
+  stopSpeaking() {
+    const session = this.speaking;
+    if (window.speechSynthesis) speechSynthesis.cancel();
+    if (session) this.finishSpeaking(session);
+  }
+
+  finishSpeaking(session) {
+    if (this.speaking !== session) return;
+    this.speaking = null;
+    this.updateSpeakButtons();
+    session.onEnd?.();
+  }
+
+  toggleSpeakMessage(message) {
+    if (this.speaking?.messageId === message.id) this.stopSpeaking();
+    else this.speakMessage(message, { onEnd: () => this.listenHandsFree() });
+  }
+
+  updateSpeakButtons() {
+    this.elements.messages?.querySelectorAll('[data-msg-action="speak"]').forEach(btn => {
+      const active = this.speaking?.messageId === btn.closest('.message')?.dataset.messageId;
+      btn.classList.toggle('active', active);
+      btn.title = active ? 'Stop reading' : 'Read aloud';
+      btn.innerHTML = `<i class="fas ${active ? 'fa-stop' : 'fa-volume-up'}"></i>`;
+    });
+  }
+
+  /** Called when a run ends: reads the final reply if voice output (or hands-free) is on, then listens again. */
+  speakReply(reply) {
+    const wanted = this.state.settings.voice.outputEnabled || this.handsFree;
+    if (reply && wanted && this.speakMessage(reply, { onEnd: () => this.listenHandsFree() })) return;
+    this.listenHandsFree();
+  }
+
+  // ---- Hands-free: listen → send → speak the reply → listen ----
+
+  toggleHandsFree() {
+    if (this.handsFree) return this.stopHandsFree();
+    if (!this.speechRecognition || !window.speechSynthesis) {
+      return this.showToast('error', 'Voice Not Supported', 'Hands-free mode needs both speech recognition and speech synthesis.');
+    }
+    this.handsFree = true;
+    document.getElementById('hands-free')?.classList.add('active');
+    this.showToast('info', 'Hands-free On', 'Speak your message; replies are read aloud and the mic reopens afterwards.');
+    this.listenHandsFree();
+  }
+
+  stopHandsFree() {
+    this.handsFree = false;
+    document.getElementById('hands-free')?.classList.remove('active');
+    this.stopVoiceInput();
+    this.stopSpeaking();
+  }
+
+  listenHandsFree() {
+    if (!this.handsFree || this.state.ui.voiceEnabled || this.state.isProcessing || this.speaking) return;
+    this.startVoiceInput();
+  }
+
   // =========================
   // ====== UTILITIES ========
   // =========================
+  createAbortError() { return new DOMException('Stopped by user', 'AbortError'); }
+
+  isAbortError(err) { return err?.name === 'AbortError'; }
+
+  throwIfAborted(signal) { if (signal?.aborted) throw this.createAbortError(); }
+
+  /** Races a promise against an AbortSignal so long-running work can be abandoned. */
+  abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(this.createAbortError());
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(this.createAbortError());
+      signal.addEventListener('abort', onAbort, { once: true });
+      Promise.resolve(promise).then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /** Reads `a.b.0.c` style paths; returns undefined when any step is missing. */
+  getByPath(obj, path) {
+    return String(path || '').split('.').filter(Boolean).reduce((o, key) => (o == null ? undefined : o[key]), obj);
+  }
+
+  stripHtml(text = '') {
+    try { return new DOMParser().parseFromString(String(text), 'text/html').body.textContent.trim(); }
+    catch (_) { return String(text).replace(/<[^>]*>/g, '').trim(); }
+  }
+
+  hostnameOf(url) {
+    try { return new URL(url).hostname; } catch (_) { return ''; }
+  }
+
+  safeJsonParse(text, fallback) {
+    if (text && typeof text === 'object') return text;
+    try { return JSON.parse(text); } catch (_) { return fallback; }
+  }
+
+  generateId(prefix = 'id') {
+    this.idCounter = ((this.idCounter || 0) + 1) % 1e6;
+    return `${prefix}_${Date.now()}_${this.idCounter}`;
+  }
+
   debounce(func, delay) {
     let timeout;
     return (...args) => { clearTimeout(timeout); timeout = setTimeout(() => func.apply(this, args), delay); };
@@ -1063,7 +6090,7 @@ class Querya {
   showWelcomeMessage() {
     const conv = this.state.conversations.get(this.state.currentConversationId);
     if (conv && conv.messages.length === 0) {
-      this.addMessage('assistant', 'Welcome to **Querya** (AI Pipe mode). Paste your AI Pipe token in **Settings → API Key** to get started.');
+      this.addMessage('assistant', 'Welcome to **Querya** (AI Pipe mode). Paste your AI Pipe token in **Settings → API Key** to get started.', null, { uiOnly: true });
     }
   }
 
@@ -1108,40 +6135,6 @@ class Querya {
 
   handleFileSelection(e) { if (!e || !e.target) return; this.handleFiles(Array.from(e.target.files || [])); }
 
-  handleFiles(files) {
-    files.forEach(file => {
-      if (this.supportedFileTypes.some(type => file.name.toLowerCase().endsWith(type))) {
-        const convId = this.state.currentConversationId || this.createNewConversation();
-        this.addMessage('system', `File uploaded: ${file.name} (size: ${file.size} bytes). Processing placeholder added.`, convId);
-      } else {
-        this.showToast('warning', 'Unsupported File', `${file.name} is not a supported file type.`);
-      }
-    });
-  }
-
-  exportConversation() {
-    try {
-      const conv = this.state.conversations.get(this.state.currentConversationId);
-      if (!conv) return this.showToast('error', 'Export Failed', 'No active conversation.');
-      let content = `# ${conv.title}\n\n`;
-      conv.messages.forEach(msg => {
-        const sender = (msg.role || 'unknown').replace(/^./, c => c.toUpperCase());
-        content += `**${sender}**: ${typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)}\n\n`;
-      });
-      const blob = new Blob([content], { type: 'text/markdown' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${(conv.title || 'conversation').replace(/\s+/g, '_')}.md`;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
-    } catch (e) {
-      this.showToast('error', 'Export Failed', e.message || 'Could not export conversation');
-    }
-  }
-
   togglePerformanceMonitor() { this.elements.performanceMonitor?.classList.toggle('active'); }
 
   updatePerformanceDisplay() {
@@ -1150,6 +6143,27 @@ class Querya {
       setTxt('response-time', `${this.state.performance.responseTime}ms`);
       setTxt('memory-usage', `${this.state.performance.memoryUsage}MB`);
       setTxt('api-calls', this.state.performance.apiCalls || 0);
+
+      const { dailyCap = 0, sessionCap = 0 } = this.state.settings.usage || {};
+      const session = this.sessionUsage;
+      const today = this.getTodayUsage();
+      const conv = this.getConversationUsage(this.state.conversations.get(this.state.currentConversationId));
+      const tokens = (t) => (t.prompt + t.completion).toLocaleString();
+      const money = (t) => `${this.formatCost(t.cost)}${t.unpriced ? '*' : ''}`;
+      setTxt('usage-session', `${tokens(session)} tok · ${money(session)}${sessionCap > 0 ? ` / ${this.formatCost(sessionCap)}` : ''}`);
+      setTxt('usage-today', `${tokens(today)} tok · ${money(today)}${dailyCap > 0 ? ` / ${this.formatCost(dailyCap)}` : ''}`);
+      setTxt('usage-conversation', `${tokens(conv)} tok · ${money(conv)}`);
+      const byModel = document.getElementById('usage-by-model');
+      if (byModel) {
+        const rows = Object.entries(session.models).sort((a, b) => b[1].cost - a[1].cost);
+        byModel.innerHTML = rows.map(([model, t]) => `
+          <div class="metric">
+            <span class="metric-label" title="${this.escapeHtml(model)}">${this.escapeHtml(this.normalizeModelId(model))}</span>
+            <span class="metric-value">${tokens(t)} · ${money(t)}</span>
+          </div>`).join('');
+      }
+      const capped = (dailyCap > 0 && today.cost >= dailyCap) || (sessionCap > 0 && session.cost >= sessionCap);
+      document.getElementById('performance-monitor')?.classList.toggle('capped', capped);
     } catch (_) {}
   }
 
@@ -1160,6 +6174,23 @@ class Querya {
     } catch (_) {}
   }
 
+  /** Shows only the Search-tab fields that apply to the selected backend. */
+  updateSearchFields() {
+    const backend = document.getElementById('search-backend')?.value || 'searxng';
+    document.querySelectorAll('#search-tab [data-backends]').forEach(group => {
+      group.style.display = group.dataset.backends.split(' ').includes(backend) ? '' : 'none';
+    });
+    const urlEl = document.getElementById('search-url');
+    if (urlEl) {
+      urlEl.placeholder = {
+        searxng: 'http://localhost:8888',
+        brave: 'https://api.search.brave.com/res/v1/web/search (or your proxy)',
+        google: 'https://www.googleapis.com/customsearch/v1 (or your proxy)',
+        json: 'https://search.internal/api?q={query}&n={count}'
+      }[backend] || '';
+    }
+  }
+
   switchSettingsTab(tabId) {
     document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tabId));
     document.querySelectorAll('.tab-content').forEach(content => content.classList.toggle('active', content.id === `${tabId}-tab`));
@@ -1192,23 +6223,16 @@ class Querya {
         this.showToast('success', 'Copied', 'Message copied to clipboard.');
         break;
       case 'edit':
-        if (typeof msg.content === 'string') {
-          this.elements.userInput.value = msg.content;
-          this.updateCharCount();
-          this.showToast('info', 'Edit', 'Message loaded into input for editing.');
-        } else {
-          this.showToast('warning', 'Edit Not Supported', 'Cannot edit structured/tool messages.');
-        }
+        this.startEditMessage(msgId);
         break;
       case 'delete':
-        conv.messages = conv.messages.filter(m => m.id !== msgId);
+        this.removePathMessage(conv, msgId);
         this.saveCurrentConversation();
         this.loadConversation(this.state.currentConversationId);
         this.showToast('success', 'Deleted', 'Message deleted.');
         break;
       case 'bookmark':
-        msg.bookmarked = true;
-        this.showToast('success', 'Bookmarked', 'Message bookmarked.');
+        this.toggleBookmark(conv.id, msgId);
         break;
       default:
         this.showToast('info', 'Action', `Action: ${action}`);
@@ -0,0 +1,41 @@
+/**
+ * Hostile payloads for the markdown sanitizer (see sanitizer.html). Each
+ * `input` is rendered like a chat message; `keep` is text that must survive.
+ */
+const sanitizerCorpus = [
+  { name: 'script tag', input: '<script>alert(1)</script>ok', keep: 'ok' },
+  { name: 'img onerror', input: '<img src=x onerror=alert(1)>' },
+  { name: 'markdown javascript: link', input: '[click](javascript:alert(1))', keep: 'click' },
+  { name: 'mixed-case scheme', input: '[click](JaVaScRiPt:alert(1))', keep: 'click' },
+  { name: 'tab inside scheme', input: '<a href="java&#x09;script:alert(1)">x</a>' },
+  { name: 'entity-encoded scheme', input: '<a href="&#106;avascript:alert(1)">x</a>' },
+  { name: 'leading control characters', input: '<a href="&#x01; javascript:alert(1)">x</a>' },
+  { name: 'vbscript link', input: '<a href="vbscript:msgbox(1)">x</a>' },
+  { name: 'data: html link', input: '[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)' },
+  { name: 'svg onload', input: '<svg onload=alert(1)><script>alert(1)</script></svg>' },
+  { name: 'svg use href', input: '<svg><use href="data:image/svg+xml,<svg id=\'x\' xmlns=\'http://www.w3.org/2000/svg\'><image href=\'1\' onerror=\'alert(1)\'/></svg>#x"/></svg>' },
+  { name: 'mathml href', input: '<math><mi xlink:href="javascript:alert(1)">x</mi></math>' },
+  { name: 'iframe', input: '<iframe src="javascript:alert(1)"></iframe>' },
+  { name: 'iframe srcdoc', input: '<iframe srcdoc="<script>alert(1)</script>"></iframe>' },
+  { name: 'object/embed', input: '<object data="javascript:alert(1)"></object><embed src="javascript:alert(1)">' },
+  { name: 'details ontoggle', input: '<details open ontoggle=alert(1)><summary>s</summary>body</details>', keep: 'body' },
+  { name: 'form action', input: '<form action="javascript:alert(1)"><button formaction="javascript:alert(1)">go</button></form>' },
+  { name: 'input autofocus', input: '<input type="text" autofocus onfocus=alert(1)>' },
+  { name: 'style attribute', input: '<div style="background:url(javascript:alert(1))">styled</div>', keep: 'styled' },
+  { name: 'style element', input: '<style>*{display:none}</style>visible', keep: 'visible' },
+  { name: 'meta refresh', input: '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">' },
+  { name: 'base href', input: '<base href="javascript:/">' },
+  { name: 'link stylesheet', input: '<link rel="stylesheet" href="https://evil.example/x.css">' },
+  { name: 'DOM clobbering id/name', input: '<p id="elements" name="state">clobber</p>', keep: 'clobber' },
+  { name: 'noscript mXSS', input: '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>' },
+  { name: 'template content', input: '<template><img src=x onerror=alert(1)></template>' },
+  { name: 'textarea breakout', input: '<textarea><img src=x onerror=alert(1)></textarea>' },
+  { name: 'comment', input: '<!-- <img src=x onerror=alert(1)> -->' },
+  { name: 'remote markdown image', input: '![pixel](https://evil.example/track.png)' },
+  { name: 'protocol-relative image', input: '<img src="//evil.example/p.gif">' },
+  { name: 'image srcset', input: '<img src="data:image/png;base64,iVBORw0KGgo=" srcset="https://evil.example/1.png 1x">' },
+  { name: 'svg data image', input: '<img src="data:image/svg+xml,<svg onload=alert(1)>">' },
+  { name: 'unknown element handlers', input: '<x-foo onclick=alert(1)>custom</x-foo>', keep: 'custom' },
+  { name: 'code keeps markup as text', input: '`<script>alert(1)</script>`', keep: '<script>alert(1)</script>' },
+  { name: 'safe link survives', input: '[docs](https://example.com/docs)', keep: 'docs' }
+];